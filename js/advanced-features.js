@@ -3,106 +3,292 @@
  * Multi-select, Search History, Tabs, Picture-in-Picture
  */
 
+// Selected results keyed by their stable ID (SearchResult.idOf), so a selection keeps
+// pointing at the same results across pagination, infinite append, re-sorting and tab
+// switches. Subscribers are called with { ids, count } after every change.
+class SelectionStore {
+  constructor() {
+    this.items = new Map();
+    this.listeners = new Set();
+  }
+
+  get size() {
+    return this.items.size;
+  }
+
+  has(id) {
+    return this.items.has(id);
+  }
+
+  getIds() {
+    return Array.from(this.items.keys());
+  }
+
+  // Selected results; those present in `order` come first in that order, the rest
+  // (e.g. selected in another tab) follow in selection order
+  getResults(order = []) {
+    const positions = new Map(order.map((result, index) => [SearchResult.idOf(result), index]));
+    const position = id => (positions.has(id) ? positions.get(id) : Infinity);
+    return this.getIds()
+      .sort((a, b) => position(a) - position(b))
+      .map(id => this.items.get(id));
+  }
+
+  add(results) {
+    let changed = false;
+    results.forEach(result => {
+      const id = SearchResult.idOf(result);
+      if (this.items.has(id)) return;
+      this.items.set(id, result);
+      changed = true;
+    });
+    if (changed) this.emit();
+  }
+
+  remove(ids) {
+    const removed = ids.filter(id => this.items.delete(id));
+    if (removed.length > 0) this.emit();
+  }
+
+  toggle(result) {
+    const id = SearchResult.idOf(result);
+    if (this.items.has(id)) {
+      this.remove([id]);
+    } else {
+      this.add([result]);
+    }
+  }
+
+  clear() {
+    if (this.items.size === 0) return;
+    this.items.clear();
+    this.emit();
+  }
+
+  // Returns an unsubscribe function
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  emit() {
+    const state = { ids: this.getIds(), count: this.items.size };
+    this.listeners.forEach(listener => listener(state));
+  }
+}
+
 // Multi-cursor selection handler
+// Cmd/Ctrl+click toggles a card, Shift+click selects a range, and a touch long-press
+// enters selection mode where every tap toggles. Cards are matched to results by
+// stable ID (app.resultIdForCard), and the selection itself lives in a SelectionStore.
 class MultiSelect {
-  constructor(app) {
+  constructor(app, store = new SelectionStore()) {
     this.app = app;
-    this.selectedItems = new Set();
+    this.store = store;
     this.isSelecting = false;
+    this.anchorId = null;
+    this.longPressTimer = null;
+    this.longPressDelay = 500;
+    this.longPressed = false;
+    // Some browsers fire a click after a long press and some don't, so only a click
+    // right after the finger lifts is swallowed
+    this.suppressClickUntil = 0;
+    this.suppressClickWindow = 400;
     this.init();
   }
 
   init() {
     document.addEventListener('click', this.handleClick.bind(this), true);
     document.addEventListener('keydown', this.handleKeyDown.bind(this));
+    document.addEventListener('touchstart', this.handleTouchStart.bind(this), { passive: true });
+    document.addEventListener('touchmove', this.cancelLongPress.bind(this), { passive: true });
+    document.addEventListener('touchend', this.handleTouchEnd.bind(this), { passive: true });
+    document.addEventListener('contextmenu', this.handleContextMenu.bind(this));
+    this.unsubscribe = this.store.subscribe(() => this.update());
+  }
+
+  getCards() {
+    return Array.from(document.querySelectorAll('.result-card'));
   }
 
   handleClick(event) {
     const card = event.target.closest('.result-card');
     if (!card) return;
 
+    // The click that ends a long press must not open the result
+    if (Date.now() < this.suppressClickUntil) {
+      this.suppressClickUntil = 0;
+      event.preventDefault();
+      event.stopPropagation();
+      return;
+    }
+
+    const id = this.app.resultIdForCard(card);
+
+    // Shift+click selects everything between the last toggled card and this one
+    if (event.shiftKey && this.anchorId !== null) {
+      event.preventDefault();
+      event.stopPropagation();
+      this.selectRange(this.anchorId, id);
+      return;
+    }
+
     // Check if Cmd/Ctrl is pressed
     const isMetaPressed = event.metaKey || event.ctrlKey;
     
-    if (isMetaPressed) {
+    if (isMetaPressed || this.isSelecting) {
       event.preventDefault();
       event.stopPropagation();
-      
-      const index = Array.from(document.querySelectorAll('.result-card')).indexOf(card);
-      
-      if (this.selectedItems.has(index)) {
-        this.selectedItems.delete(index);
-        card.classList.remove('multi-selected');
-      } else {
-        this.selectedItems.add(index);
-        card.classList.add('multi-selected');
-      }
+      this.toggle(id);
+    }
+  }
+
+  handleTouchStart(event) {
+    const card = event.target.closest('.result-card');
+    if (!card || event.touches.length > 1) return;
+
+    this.cancelLongPress();
+    this.longPressTimer = setTimeout(() => {
+      this.isSelecting = true;
+      this.longPressed = true;
+      this.toggle(this.app.resultIdForCard(card));
+      if (navigator.vibrate) navigator.vibrate(50);
+    }, this.longPressDelay);
+  }
+
+  cancelLongPress() {
+    clearTimeout(this.longPressTimer);
+    this.longPressTimer = null;
+  }
+
+  handleTouchEnd() {
+    this.cancelLongPress();
+    if (this.longPressed) {
+      this.longPressed = false;
+      this.suppressClickUntil = Date.now() + this.suppressClickWindow;
+    }
+  }
+
+  // Keep the browser's link menu from opening over a card being long-pressed or selected
+  handleContextMenu(event) {
+    if (!event.target.closest('.result-card')) return;
+    if (this.isSelecting || this.longPressTimer) {
+      event.preventDefault();
     }
   }
 
   handleKeyDown(event) {
     // Open all selected in new tabs with Cmd/Ctrl+Enter
-    if ((event.metaKey || event.ctrlKey) && event.key === 'Enter' && this.selectedItems.size > 0) {
+    if ((event.metaKey || event.ctrlKey) && event.key === 'Enter' && this.store.size > 0) {
       event.preventDefault();
       this.openAllSelected();
     }
 
     // Clear selection with Escape
-    if (event.key === 'Escape' && this.selectedItems.size > 0) {
+    if (event.key === 'Escape' && this.store.size > 0) {
       this.clearSelection();
     }
   }
 
+  toggle(id) {
+    const result = this.app.findResult(id);
+    if (!result) return;
+    this.anchorId = id;
+    this.store.toggle(result);
+  }
+
+  // Range in the order the cards are shown
+  selectRange(fromId, toId) {
+    const ids = this.getCards().map(card => this.app.resultIdForCard(card));
+    const from = ids.indexOf(fromId);
+    const to = ids.indexOf(toId);
+    if (to === -1) return;
+
+    const [start, end] = from === -1 ? [to, to] : from < to ? [from, to] : [to, from];
+    this.anchorId = toId;
+    this.store.add(ids.slice(start, end + 1)
+      .map(id => this.app.findResult(id))
+      .filter(Boolean));
+  }
+
+  // Sync card classes with the store; also called after the results re-render
+  update() {
+    this.getCards().forEach(card => {
+      card.classList.toggle('multi-selected', this.store.has(this.app.resultIdForCard(card)));
+    });
+    if (this.store.size === 0) {
+      this.isSelecting = false;
+      this.anchorId = null;
+    }
+  }
+
+  getSelectedResults() {
+    return this.store.getResults(this.app.results);
+  }
+
   openAllSelected() {
-    const cards = Array.from(document.querySelectorAll('.result-card'));
-    this.selectedItems.forEach(index => {
-      const result = this.app.results[index];
-      if (result) {
-        window.open(result.url, '_blank', 'noopener,noreferrer');
-      }
+    this.getSelectedResults().forEach(result => {
+      this.app.recordResultClick(result);
+      window.open(result.url, '_blank', 'noopener,noreferrer');
     });
     this.clearSelection();
   }
 
   clearSelection() {
-    this.selectedItems.clear();
-    document.querySelectorAll('.multi-selected').forEach(card => {
-      card.classList.remove('multi-selected');
-    });
+    this.store.clear();
+    this.update();
   }
 
   getCount() {
-    return this.selectedItems.size;
+    return this.store.size;
   }
-}
 
-// Search history manager
-class SearchHistory {
-  constructor(app) {
-    this.app = app;
-    this.maxItems = 20;
-    this.storageKey = 'wholphin_search_history';
+  // Format results for copying, sharing or exporting: markdown, text, urls, csv or json
+  static format(results, format) {
+    const clean = text => String(text || '').replace(/\s+/g, ' ').trim();
+
+    switch (format) {
+      case 'markdown':
+        return results.map(result => {
+          const title = clean(result.title).replace(/([[\]])/g, '\\$1');
+          const link = `- [${title}](${result.url.replace(/\(/g, '%28').replace(/\)/g, '%29')})`;
+          return result.snippet ? `${link}\n  ${clean(result.snippet)}` : link;
+        }).join('\n');
+      case 'text':
+        return results.map(result => [clean(result.title), result.url, clean(result.snippet)]
+          .filter(Boolean).join('\n')).join('\n\n');
+      case 'urls':
+        return results.map(result => result.url).join('\n');
+      case 'csv': {
+        const escape = value => {
+          let field = clean(value);
+          // Keep spreadsheets from evaluating the field as a formula
+          if (/^[=+\-@]/.test(field)) field = `'${field}`;
+          return /[",]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+        };
+        const rows = results.map(result => [result.title, result.url, result.domain, result.type, result.snippet]);
+        return [['title', 'url', 'domain', 'type', 'snippet'], ...rows]
+          .map(row => row.map(escape).join(','))
+          .join('\r\n');
+      }
+      case 'json':
+        return JSON.stringify(results.map(result => ({
+          title: result.title,
+          url: result.url,
+          domain: result.domain || null,
+          type: result.type,
+          snippet: result.snippet || null
+        })), null, 2);
+      default:
+        throw new Error(`Unknown selection format: ${format}`);
+    }
   }
+}
 
-  add(query) {
-    if (!query || !query.trim()) return;
-    
-    let history = this.getAll();
-    
-    // Remove duplicates
-    history = history.filter(item => item.query !== query);
-    
-    // Add to beginning
-    history.unshift({
-      query: query,
-      timestamp: Date.now(),
-      type: this.app.currentType
-    });
-    
-    // Limit to maxItems
-    history = history.slice(0, this.maxItems);
-    
-    localStorage.setItem(this.storageKey, JSON.stringify(history));
+// Named collections of saved results, kept in localStorage
+class ResultCollections {
+  constructor() {
+    this.storageKey = 'wholphin_collections';
   }
 
   getAll() {
@@ -114,32 +300,483 @@ class SearchHistory {
     }
   }
 
+  get(name) {
+    return this.getAll().find(collection => collection.name === name);
+  }
+
+  // Add results to a collection (created if needed); returns how many were new
+  add(name, results) {
+    const collections = this.getAll();
+    let collection = collections.find(c => c.name === name);
+    if (!collection) {
+      collection = { name, createdAt: Date.now(), items: [] };
+      collections.push(collection);
+    }
+
+    const known = new Set(collection.items.map(item => item.url));
+    const added = results
+      .filter(result => !known.has(result.url))
+      .map(result => ({
+        title: result.title,
+        url: result.url,
+        domain: result.domain || null,
+        type: result.type,
+        snippet: result.snippet || null,
+        savedAt: Date.now()
+      }));
+    collection.items.push(...added);
+
+    localStorage.setItem(this.storageKey, JSON.stringify(collections));
+    return added.length;
+  }
+
+  remove(name) {
+    const collections = this.getAll().filter(collection => collection.name !== name);
+    localStorage.setItem(this.storageKey, JSON.stringify(collections));
+  }
+}
+
+// IndexedDB wrapper for search history entries
+class HistoryDatabase {
+  constructor(dbName = 'wholphin_history', storeName = 'entries') {
+    this.dbName = dbName;
+    this.storeName = storeName;
+    this.dbPromise = null;
+  }
+
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, 1);
+        request.onupgradeneeded = () => {
+          const store = request.result.createObjectStore(this.storeName, { keyPath: 'id' });
+          store.createIndex('lastSeen', 'lastSeen');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.dbPromise;
+  }
+
+  async run(mode, operation) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.storeName, mode);
+      const request = operation(transaction.objectStore(this.storeName));
+      transaction.oncomplete = () => resolve(request && request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  getAll() {
+    return this.run('readonly', store => store.getAll());
+  }
+
+  putAll(entries) {
+    return this.run('readwrite', store => {
+      entries.forEach(entry => store.put(entry));
+    });
+  }
+
+  deleteAll(ids) {
+    return this.run('readwrite', store => {
+      ids.forEach(id => store.delete(id));
+    });
+  }
+
+  clear() {
+    return this.run('readwrite', store => store.clear());
+  }
+}
+
+// Search history manager
+// Entries are kept in memory for synchronous reads and written through to IndexedDB
+// (or to localStorage when IndexedDB is unavailable).
+class SearchHistory {
+  constructor(app, options = {}) {
+    this.app = app;
+    this.storageKey = 'wholphin_search_history'; // legacy localStorage key, migrated on load
+    this.fallbackKey = 'wholphin_history_entries'; // used while IndexedDB is unavailable
+    this.retentionKey = 'wholphin_history_retention'; // legacy key, migrated into settings
+    this.settings = options.settings || new AppSettings();
+    this.maxClicks = 20;
+    this.retentionDays = options.retentionDays !== undefined ? options.retentionDays : this.loadRetention();
+    this.entries = new Map();
+    this.lastEntryId = null;
+    this.paused = false;
+    this.db = typeof indexedDB !== 'undefined' ? new HistoryDatabase() : null;
+    this.ready = this.load();
+  }
+
+  static createId(query, type) {
+    return `${type}\u0000${query}`;
+  }
+
+  async load() {
+    if (this.db) {
+      try {
+        const stored = await this.db.getAll();
+        stored.forEach(entry => this.merge(entry));
+      } catch (error) {
+        console.warn('Search history unavailable, keeping it in memory only:', error);
+        this.db = null;
+      }
+    }
+    await this.migrate();
+    await this.prune();
+  }
+
+  // Move entries kept in localStorage (the old 20-item list, or the fallback store) into IndexedDB.
+  // The keys are only removed once IndexedDB has confirmed the write.
+  async migrate() {
+    const fallback = SearchHistory.readStorage(this.fallbackKey);
+    const legacy = SearchHistory.fromLegacy(SearchHistory.readStorage(this.storageKey) || []);
+
+    // Without IndexedDB localStorage stays the store; the old list is only read
+    // until the fallback store is first written, so it isn't counted twice
+    if (!this.db) {
+      (fallback || legacy).forEach(entry => this.merge(entry));
+      return;
+    }
+
+    const migrated = [...(fallback || []), ...legacy].map(entry => this.merge(entry));
+    if (migrated.length === 0) return;
+    if (await this.persist(migrated)) {
+      localStorage.removeItem(this.storageKey);
+      localStorage.removeItem(this.fallbackKey);
+    }
+  }
+
+  static readStorage(key) {
+    try {
+      const data = JSON.parse(localStorage.getItem(key) || 'null');
+      return Array.isArray(data) ? data : null;
+    } catch {
+      return null;
+    }
+  }
+
+  // Entries from the old { query, type, count, timestamp } list
+  static fromLegacy(items) {
+    return items
+      .filter(item => item && typeof item.query === 'string' && item.query.trim())
+      .map(item => ({
+        query: item.query,
+        type: item.type || 'web',
+        count: item.count || 1,
+        firstSeen: item.timestamp || Date.now(),
+        lastSeen: item.timestamp || Date.now()
+      }));
+  }
+
+  // Combine an entry into memory, summing counts for the same query/type
+  merge(entry) {
+    const id = SearchHistory.createId(entry.query, entry.type);
+    const existing = this.entries.get(id);
+    const merged = existing
+      ? {
+          ...existing,
+          count: existing.count + (entry.count || 1),
+          firstSeen: Math.min(existing.firstSeen, entry.firstSeen),
+          lastSeen: Math.max(existing.lastSeen, entry.lastSeen),
+          lang: entry.lastSeen >= existing.lastSeen ? entry.lang || existing.lang : existing.lang,
+          clicks: [...(existing.clicks || []), ...(entry.clicks || [])]
+            .sort((a, b) => b.timestamp - a.timestamp)
+            .slice(0, this.maxClicks)
+        }
+      : {
+          id,
+          query: entry.query,
+          type: entry.type,
+          lang: entry.lang || null,
+          count: entry.count || 1,
+          firstSeen: entry.firstSeen,
+          lastSeen: entry.lastSeen,
+          clicks: entry.clicks || []
+        };
+    merged.timestamp = merged.lastSeen;
+    this.entries.set(id, merged);
+    return merged;
+  }
+
+  // Resolves true once the entries are stored
+  async persist(entries) {
+    if (entries.length === 0) return true;
+    if (!this.db) return this.saveFallback();
+    try {
+      await this.db.putAll(entries);
+      return true;
+    } catch (error) {
+      console.warn('Failed to save search history:', error);
+      return false;
+    }
+  }
+
+  // Without IndexedDB the whole history is rewritten to localStorage
+  saveFallback() {
+    try {
+      localStorage.setItem(this.fallbackKey, JSON.stringify(this.getAll()));
+      return true;
+    } catch (error) {
+      console.warn('Failed to save search history:', error);
+      return false;
+    }
+  }
+
+  // Writes made before load() finishes must not overwrite the stored counts
+  persistLater(id) {
+    this.ready.then(() => {
+      const entry = this.entries.get(id);
+      if (entry) this.persist([entry]);
+    });
+  }
+
+  async unpersist(ids) {
+    if (ids.length === 0) return;
+    if (!this.db) {
+      this.saveFallback();
+      return;
+    }
+    try {
+      await this.db.deleteAll(ids);
+    } catch (error) {
+      console.warn('Failed to delete search history:', error);
+    }
+  }
+
+  // Stop recording searches and clicks (private mode); existing history stays readable
+  setPaused(paused) {
+    this.paused = Boolean(paused);
+    this.lastEntryId = null;
+  }
+
+  add(query, options = {}) {
+    if (this.paused || !query || !query.trim()) return;
+
+    const now = Date.now();
+    const entry = this.merge({
+      query,
+      type: options.type || this.app.currentType,
+      lang: options.lang || this.app.language,
+      count: 1,
+      firstSeen: now,
+      lastSeen: now
+    });
+    this.lastEntryId = entry.id;
+    this.persistLater(entry.id);
+    return entry;
+  }
+
+  // Remember which result was opened from the most recent search
+  recordClick(result) {
+    const entry = this.entries.get(this.lastEntryId);
+    if (this.paused || !entry || !result || !result.url) return;
+
+    entry.clicks = [
+      { url: result.url, title: result.title || '', timestamp: Date.now() },
+      ...entry.clicks.filter(click => click.url !== result.url)
+    ].slice(0, this.maxClicks);
+    this.persistLater(entry.id);
+  }
+
+  // Merge imported entries, deduplicating by query/type.
+  // Counts take the larger value so importing the same file twice is harmless;
+  // differing counts or languages are reported as conflicts.
+  async importEntries(imported) {
+    if (this.paused) throw new Error('Search history is paused');
+    await this.ready;
+    const report = { added: 0, merged: 0, unchanged: 0, conflicts: [] };
+    const changed = new Map();
+
+    imported.forEach(item => {
+      const id = SearchHistory.createId(item.query, item.type);
+      const existing = this.entries.get(id);
+      if (!existing) {
+        changed.set(id, this.merge(item));
+        report.added++;
+        return;
+      }
+
+      const clicks = new Map(existing.clicks.map(click => [click.url, click]));
+      item.clicks.forEach(click => {
+        const known = clicks.get(click.url);
+        if (!known || known.timestamp < click.timestamp) clicks.set(click.url, click);
+      });
+      const newer = item.lastSeen > existing.lastSeen;
+      const entry = {
+        ...existing,
+        count: Math.max(existing.count, item.count),
+        firstSeen: Math.min(existing.firstSeen, item.firstSeen),
+        lastSeen: Math.max(existing.lastSeen, item.lastSeen),
+        lang: (newer && item.lang) || existing.lang || item.lang,
+        clicks: Array.from(clicks.values())
+          .sort((a, b) => b.timestamp - a.timestamp)
+          .slice(0, this.maxClicks)
+      };
+      entry.timestamp = entry.lastSeen;
+
+      const fields = ['count', 'lang'].filter(field =>
+        existing[field] && item[field] && existing[field] !== item[field]
+      );
+      if (fields.length > 0) {
+        report.conflicts.push({
+          query: item.query,
+          type: item.type,
+          fields,
+          local: { count: existing.count, lang: existing.lang },
+          imported: { count: item.count, lang: item.lang }
+        });
+      }
+
+      const unchanged = ['count', 'firstSeen', 'lastSeen', 'lang'].every(field => entry[field] === existing[field]) &&
+        entry.clicks.length === existing.clicks.length &&
+        entry.clicks.every((click, index) => click === existing.clicks[index]);
+      if (unchanged) {
+        report.unchanged++;
+        return;
+      }
+      this.entries.set(id, entry);
+      changed.set(id, entry);
+      report.merged++;
+    });
+
+    await this.persist(Array.from(changed.values()));
+    await this.prune();
+    return report;
+  }
+
+  getAll() {
+    return Array.from(this.entries.values()).sort((a, b) => b.lastSeen - a.lastSeen);
+  }
+
   getRecent(limit = 10) {
     return this.getAll().slice(0, limit);
   }
 
-  clear() {
+  // Full-text search over queries and the titles/URLs of clicked results
+  search(text, limit = 50) {
+    const words = SearchHistory.normalize(text).split(/\s+/).filter(Boolean);
+    if (words.length === 0) return this.getRecent(limit);
+
+    return this.getAll()
+      .map(entry => {
+        const query = SearchHistory.normalize(entry.query);
+        const clicked = SearchHistory.normalize(
+          entry.clicks.map(click => `${click.title} ${click.url}`).join(' ')
+        );
+        let score = 0;
+        for (const word of words) {
+          if (query.includes(word)) score += 2;
+          else if (clicked.includes(word)) score += 1;
+          else return null;
+        }
+        return { entry, score };
+      })
+      .filter(Boolean)
+      .sort((a, b) => b.score - a.score || b.entry.count - a.entry.count || b.entry.lastSeen - a.entry.lastSeen)
+      .slice(0, limit)
+      .map(match => match.entry);
+  }
+
+  static normalize(text) {
+    return String(text || '').normalize('NFKC').toLowerCase();
+  }
+
+  loadRetention() {
+    this.settings.migrate('historyRetentionDays', this.retentionKey, raw => {
+      const days = parseInt(raw, 10);
+      return Number.isFinite(days) ? days : undefined;
+    });
+    const days = this.settings.get('historyRetentionDays');
+    return Number.isInteger(days) && days >= 0 ? days : 90;
+  }
+
+  // Keep history for the given number of days (0 keeps it forever)
+  setRetention(days) {
+    this.retentionDays = Math.max(0, days);
+    this.settings.set('historyRetentionDays', this.retentionDays);
+    return this.prune();
+  }
+
+  async prune() {
+    if (!this.retentionDays) return;
+    const cutoff = Date.now() - this.retentionDays * 24 * 60 * 60 * 1000;
+    const expired = this.getAll().filter(entry => entry.lastSeen < cutoff).map(entry => entry.id);
+    expired.forEach(id => this.entries.delete(id));
+    await this.unpersist(expired);
+  }
+
+  // Waits for load() so entries still being read from the store aren't merged back in
+  async clear() {
+    await this.ready;
+    this.entries.clear();
+    this.lastEntryId = null;
     localStorage.removeItem(this.storageKey);
+    localStorage.removeItem(this.fallbackKey);
+    if (this.db) {
+      try {
+        await this.db.clear();
+      } catch (error) {
+        console.warn('Failed to clear search history:', error);
+      }
+    }
   }
 
-  remove(query) {
-    let history = this.getAll();
-    history = history.filter(item => item.query !== query);
-    localStorage.setItem(this.storageKey, JSON.stringify(history));
+  // Remove a query (all types unless one is given)
+  remove(query, type) {
+    const ids = this.getAll()
+      .filter(entry => entry.query === query && (type === undefined || entry.type === type))
+      .map(entry => entry.id);
+    ids.forEach(id => this.entries.delete(id));
+    this.ready.then(() => this.unpersist(ids));
   }
 }
 
+// Colors available for tab groups (see .tab-group-* in desktop.css)
+const TAB_GROUP_COLORS = ['blue', 'red', 'yellow', 'green', 'pink', 'purple', 'cyan', 'orange'];
+
 // Tab manager for multi-tab search
+// Tab state is saved to localStorage so a reload restores the session.
+// Pinned tabs always come first, and the tabs of a group are kept next to each other.
 class TabManager {
-  constructor(app) {
+  constructor(app, options = {}) {
     this.app = app;
     this.tabs = [];
+    this.groups = [];
     this.activeTabId = null;
     this.nextTabId = 1;
+    this.nextGroupId = 1;
+    this.closedTabs = [];
+    this.maxClosedTabs = 10;
+    this.storageKey = 'wholphin_tabs';
+    this.persistResultsKey = 'wholphin_tabs_persist_results'; // legacy key, migrated into settings
+    this.settings = options.settings || new AppSettings();
+    this.persist = options.persist !== false;
+    // false leaves the restored active tab unsearched (e.g. when a shared link opens in a new tab)
+    this.reloadOnRestore = options.reloadOnRestore !== false;
+    this.persistResults = options.persistResults !== undefined
+      ? Boolean(options.persistResults)
+      : this.loadPersistResults();
     this.init();
   }
 
+  loadPersistResults() {
+    this.settings.migrate('persistTabResults', this.persistResultsKey, raw => raw === 'true');
+    return this.settings.get('persistTabResults') === true;
+  }
+
+  // Also save each tab's results, so restored tabs show them without searching again
+  setPersistResults(enabled) {
+    this.persistResults = Boolean(enabled);
+    this.settings.set('persistTabResults', this.persistResults);
+    this.saveState();
+  }
+
   init() {
+    if (this.restore()) return;
+
     // Create initial tab
     this.createTab('新規検索', true);
   }
@@ -152,7 +789,10 @@ class TabManager {
       type: 'web',
       results: [],
       page: 1,
-      scrollPosition: 0
+      scrollPosition: 0,
+      focusedResultId: null,
+      groupId: null,
+      pinned: false
     };
     
     this.tabs.push(tab);
@@ -161,24 +801,36 @@ class TabManager {
       this.switchTab(tab.id);
     }
     
+    this.saveState();
     return tab;
   }
 
-  switchTab(tabId) {
+  // Copy the app's current search into the active tab
+  captureActiveTab() {
+    const currentTab = this.getActiveTab();
+    if (!currentTab) return;
+
+    currentTab.query = this.app.query;
+    currentTab.type = this.app.currentType;
+    currentTab.results = this.app.results;
+    currentTab.page = this.app.currentPage;
+    currentTab.scrollPosition = window.scrollY;
+    currentTab.focusedResultId = this.app.keyboardNav ? this.app.keyboardNav.focusedId : null;
+    if (currentTab.query) {
+      currentTab.title = currentTab.query.length > 20 ? currentTab.query.substring(0, 20) + '...' : currentTab.query;
+    }
+  }
+
+  switchTab(tabId, { reload = true } = {}) {
     const tab = this.tabs.find(t => t.id === tabId);
     if (!tab) return;
     
     // Save current tab state
     if (this.activeTabId) {
-      const currentTab = this.tabs.find(t => t.id === this.activeTabId);
-      if (currentTab) {
-        currentTab.query = this.app.query;
-        currentTab.type = this.app.currentType;
-        currentTab.results = this.app.results;
-        currentTab.page = this.app.currentPage;
-        currentTab.scrollPosition = window.scrollY;
-      }
+      this.captureActiveTab();
     }
+    // saveState() below captures the old tab's scroll into this one, so read it first
+    const scrollPosition = tab.scrollPosition;
     
     // Load tab state
     this.activeTabId = tab.id;
@@ -187,29 +839,252 @@ class TabManager {
     this.app.results = tab.results;
     this.app.currentPage = tab.page;
     this.app.searchPerformed = tab.results.length > 0;
+    if (this.app.keyboardNav) this.app.keyboardNav.restoreFocus(tab.focusedResultId);
     
-    // Restore scroll position
-    setTimeout(() => {
-      window.scrollTo(0, tab.scrollPosition);
-    }, 100);
+    // Tabs restored without results search again when they are opened.
+    // Restoring a session isn't a new search, so it stays out of the history,
+    // and the scroll position is restored once the results are back.
+    if (tab.needsReload && tab.query && reload) {
+      delete tab.needsReload;
+      this.app.currentView = 'search';
+      this.app.performSearch({ route: 'replace', record: false }).then(() => {
+        if (this.activeTabId === tab.id) this.app.$nextTick(() => window.scrollTo(0, scrollPosition));
+      });
+    } else {
+      if (reload) delete tab.needsReload;
+      setTimeout(() => {
+        window.scrollTo(0, scrollPosition);
+      }, 100);
+    }
     
     // Update tab title if query exists
     if (tab.query) {
       tab.title = tab.query.length > 20 ? tab.query.substring(0, 20) + '...' : tab.query;
     }
+    
+    this.saveState();
   }
 
   closeTab(tabId) {
     const index = this.tabs.findIndex(t => t.id === tabId);
     if (index === -1 || this.tabs.length === 1) return; // Keep at least one tab
     
-    this.tabs.splice(index, 1);
+    if (this.activeTabId === tabId) {
+      this.captureActiveTab();
+    }
+    
+    const [tab] = this.tabs.splice(index, 1);
+    
+    // Remember it so it can be reopened
+    this.closedTabs.unshift({ tab, index, closedAt: Date.now() });
+    this.closedTabs = this.closedTabs.slice(0, this.maxClosedTabs);
     
     // If closing active tab, switch to adjacent tab
     if (this.activeTabId === tabId) {
+      this.activeTabId = null;
       const newIndex = Math.max(0, index - 1);
       this.switchTab(this.tabs[newIndex].id);
     }
+    
+    this.saveState();
+  }
+
+  // Reopen the most recently closed tab, or a specific one from getClosedTabs()
+  reopenClosedTab(tabId) {
+    const closedIndex = tabId === undefined ? 0 : this.closedTabs.findIndex(closed => closed.tab.id === tabId);
+    if (closedIndex === -1 || closedIndex >= this.closedTabs.length) return null;
+    
+    const [{ tab, index }] = this.closedTabs.splice(closedIndex, 1);
+    if (!this.getGroup(tab.groupId)) tab.groupId = null;
+    this.tabs.splice(Math.min(index, this.tabs.length), 0, tab);
+    this.normalizeOrder();
+    this.switchTab(tab.id);
+    return tab;
+  }
+
+  getGroup(groupId) {
+    return this.groups.find(group => group.id === groupId);
+  }
+
+  getGroups() {
+    return this.groups;
+  }
+
+  createGroup(name, tabIds = [], color) {
+    const group = {
+      id: this.nextGroupId++,
+      name: name || '',
+      color: TAB_GROUP_COLORS.includes(color)
+        ? color
+        : TAB_GROUP_COLORS[(this.nextGroupId - 2) % TAB_GROUP_COLORS.length],
+      collapsed: false
+    };
+    this.groups.push(group);
+    tabIds.forEach(tabId => this.moveTabToGroup(tabId, group.id));
+    this.saveState();
+    return group;
+  }
+
+  updateGroup(groupId, changes) {
+    const group = this.getGroup(groupId);
+    if (!group) return;
+    
+    if (changes.name !== undefined) group.name = changes.name;
+    if (TAB_GROUP_COLORS.includes(changes.color)) group.color = changes.color;
+    this.saveState();
+  }
+
+  // Remove a group, either ungrouping its tabs or closing them
+  removeGroup(groupId, closeTabs = false) {
+    const members = this.tabs.filter(tab => tab.groupId === groupId);
+    if (closeTabs && members.length < this.tabs.length) {
+      members.forEach(tab => this.closeTab(tab.id));
+    } else {
+      members.forEach(tab => { tab.groupId = null; });
+    }
+    this.groups = this.groups.filter(group => group.id !== groupId);
+    this.saveState();
+  }
+
+  // Move a tab to the end of a group (null removes it from its group)
+  moveTabToGroup(tabId, groupId) {
+    const tab = this.tabs.find(t => t.id === tabId);
+    if (!tab || (groupId !== null && !this.getGroup(groupId))) return;
+    
+    tab.groupId = groupId;
+    if (groupId !== null) {
+      tab.pinned = false;
+      // Place it after the group's current last tab (the first tab of a group stays where it is)
+      if (this.tabs.some(t => t !== tab && t.groupId === groupId)) {
+        this.tabs.splice(this.tabs.indexOf(tab), 1);
+        const lastIndex = this.tabs.map(t => t.groupId).lastIndexOf(groupId);
+        this.tabs.splice(lastIndex + 1, 0, tab);
+      }
+    }
+    this.normalizeOrder();
+    this.saveState();
+  }
+
+  toggleGroupCollapsed(groupId) {
+    const group = this.getGroup(groupId);
+    if (!group) return;
+    
+    group.collapsed = !group.collapsed;
+    
+    // Collapsing the active tab's group moves to the nearest tab outside it
+    const active = this.getActiveTab();
+    if (group.collapsed && active && active.groupId === groupId) {
+      const index = this.tabs.indexOf(active);
+      const candidates = this.tabs
+        .filter(tab => !this.isHidden(tab) && tab.groupId !== groupId)
+        .sort((a, b) => Math.abs(this.tabs.indexOf(a) - index) - Math.abs(this.tabs.indexOf(b) - index));
+      if (candidates.length > 0) this.switchTab(candidates[0].id);
+    }
+    this.saveState();
+  }
+
+  pinTab(tabId, pinned = true) {
+    const tab = this.tabs.find(t => t.id === tabId);
+    if (!tab) return;
+    
+    tab.pinned = pinned;
+    if (pinned) {
+      tab.groupId = null;
+      // New pins go after the existing pinned tabs
+      this.tabs.splice(this.tabs.indexOf(tab), 1);
+      this.tabs.splice(this.tabs.filter(t => t.pinned).length, 0, tab);
+    }
+    this.normalizeOrder();
+    this.saveState();
+  }
+
+  // Move a tab to a new position; dropping it between two tabs of a group joins that group
+  moveTab(tabId, toIndex) {
+    const from = this.tabs.findIndex(t => t.id === tabId);
+    if (from === -1) return;
+    
+    const [tab] = this.tabs.splice(from, 1);
+    const index = Math.max(0, Math.min(toIndex, this.tabs.length));
+    this.tabs.splice(index, 0, tab);
+    
+    if (!tab.pinned) {
+      const before = this.tabs[index - 1];
+      const after = this.tabs[index + 1];
+      if (before && after && before.groupId && before.groupId === after.groupId) {
+        tab.groupId = before.groupId;
+      } else if (tab.groupId && !(before && before.groupId === tab.groupId) && !(after && after.groupId === tab.groupId)) {
+        tab.groupId = null;
+      }
+    }
+    this.normalizeOrder();
+    this.saveState();
+  }
+
+  // Switch to the next/previous tab in the active tab's group (or among ungrouped tabs)
+  cycleTabInGroup(direction = 1) {
+    const active = this.getActiveTab();
+    if (!active) return;
+    
+    const peers = this.tabs.filter(tab => tab.groupId === active.groupId);
+    if (peers.length < 2) return;
+    
+    const index = peers.indexOf(active);
+    const next = peers[(index + direction + peers.length) % peers.length];
+    this.switchTab(next.id);
+  }
+
+  isHidden(tab) {
+    const group = this.getGroup(tab.groupId);
+    return Boolean(group && group.collapsed && tab.id !== this.activeTabId);
+  }
+
+  // Items for rendering the tab strip: pinned/ungrouped tabs and groups with their tabs
+  getStrip() {
+    const strip = [];
+    this.tabs.forEach(tab => {
+      const group = this.getGroup(tab.groupId);
+      if (!group) {
+        strip.push({ kind: 'tab', tab });
+        return;
+      }
+      let item = strip[strip.length - 1];
+      if (!item || item.kind !== 'group' || item.group.id !== group.id) {
+        item = { kind: 'group', group, tabs: [] };
+        strip.push(item);
+      }
+      if (!this.isHidden(tab)) item.tabs.push(tab);
+    });
+    return strip;
+  }
+
+  // Keep pinned tabs first and each group's tabs together; drop empty groups
+  normalizeOrder() {
+    const pinned = this.tabs.filter(tab => tab.pinned);
+    const rest = this.tabs.filter(tab => !tab.pinned);
+    const ordered = [];
+    const placed = new Set();
+    
+    rest.forEach(tab => {
+      if (!tab.groupId) {
+        ordered.push(tab);
+      } else if (!placed.has(tab.groupId)) {
+        placed.add(tab.groupId);
+        ordered.push(...rest.filter(t => t.groupId === tab.groupId));
+      }
+    });
+    
+    this.tabs.splice(0, this.tabs.length, ...pinned, ...ordered);
+    this.groups = this.groups.filter(group => placed.has(group.id));
+  }
+
+  getClosedTabs() {
+    return this.closedTabs.map(({ tab, closedAt }) => ({
+      id: tab.id,
+      title: tab.title,
+      query: tab.query,
+      type: tab.type,
+      closedAt
+    }));
   }
 
   getTabs() {
@@ -219,6 +1094,248 @@ class TabManager {
   getActiveTab() {
     return this.tabs.find(t => t.id === this.activeTabId);
   }
+
+  serializeTab(tab) {
+    const saved = {
+      id: tab.id,
+      title: tab.title,
+      query: tab.query,
+      type: tab.type,
+      page: tab.page,
+      scrollPosition: tab.scrollPosition,
+      focusedResultId: tab.focusedResultId,
+      groupId: tab.groupId,
+      pinned: tab.pinned
+    };
+    if (this.persistResults) saved.results = tab.results;
+    return saved;
+  }
+
+  saveState() {
+    if (!this.persist) return;
+    this.captureActiveTab();
+    
+    const state = {
+      tabs: this.tabs.map(tab => this.serializeTab(tab)),
+      activeTabId: this.activeTabId,
+      nextTabId: this.nextTabId,
+      groups: this.groups,
+      nextGroupId: this.nextGroupId,
+      closedTabs: this.closedTabs.map(({ tab, index, closedAt }) => ({
+        tab: this.serializeTab(tab),
+        index,
+        closedAt
+      }))
+    };
+    
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(state));
+    } catch (error) {
+      // Results can exceed the storage quota; keep the tabs without them
+      if (!this.persistResults) {
+        console.warn('Failed to save tabs:', error);
+        return;
+      }
+      this.persistResults = false;
+      this.saveState();
+      this.persistResults = true;
+    }
+  }
+
+  restore() {
+    if (!this.persist) return false;
+    
+    let state;
+    try {
+      state = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+    } catch {
+      return false;
+    }
+    if (!state || !Array.isArray(state.tabs) || state.tabs.length === 0) return false;
+    
+    const restoreTab = saved => {
+      const results = Array.isArray(saved.results) ? saved.results : [];
+      return {
+        id: saved.id,
+        title: saved.title || '新規検索',
+        query: saved.query || '',
+        type: saved.type || 'web',
+        results,
+        page: saved.page || 1,
+        scrollPosition: saved.scrollPosition || 0,
+        focusedResultId: saved.focusedResultId || null,
+        groupId: saved.groupId || null,
+        pinned: Boolean(saved.pinned),
+        needsReload: results.length === 0 && Boolean(saved.query)
+      };
+    };
+    
+    this.groups = (state.groups || []).map(group => ({
+      id: group.id,
+      name: group.name || '',
+      color: TAB_GROUP_COLORS.includes(group.color) ? group.color : TAB_GROUP_COLORS[0],
+      collapsed: Boolean(group.collapsed)
+    }));
+    this.nextGroupId = Math.max(state.nextGroupId || 1, ...this.groups.map(group => group.id + 1));
+    this.tabs = state.tabs.map(restoreTab);
+    this.tabs.forEach(tab => {
+      if (!this.getGroup(tab.groupId)) tab.groupId = null;
+    });
+    this.normalizeOrder();
+    this.closedTabs = (state.closedTabs || []).map(closed => ({
+      tab: restoreTab(closed.tab),
+      index: closed.index,
+      closedAt: closed.closedAt
+    }));
+    const ids = [...this.tabs, ...this.closedTabs.map(closed => closed.tab)].map(tab => tab.id);
+    this.nextTabId = Math.max(state.nextTabId || 1, ...ids.map(id => id + 1));
+    
+    const active = this.tabs.find(t => t.id === state.activeTabId) || this.tabs[0];
+    this.switchTab(active.id, { reload: this.reloadOnRestore });
+    return true;
+  }
+}
+
+// Drag-and-drop reordering for the tab strip, using pointer events for mouse, pen and touch.
+// Tabs are rendered as .search-tab[data-tab-id] and group labels as .tab-group-label[data-group-id]
+// inside .tab-bar-container. Touch drags start after a long press so the strip can still scroll.
+class TabDragController {
+  constructor(app) {
+    this.app = app;
+    this.drag = null;
+    this.longPressDelay = 300;
+    this.threshold = 5;
+    this.init();
+  }
+
+  init() {
+    document.addEventListener('pointerdown', this.handlePointerDown.bind(this));
+    document.addEventListener('pointermove', this.handlePointerMove.bind(this));
+    document.addEventListener('pointerup', this.handlePointerUp.bind(this));
+    document.addEventListener('pointercancel', this.cancel.bind(this));
+    // Once a touch drag has started, keep the browser from scrolling instead
+    document.addEventListener('touchmove', (event) => {
+      if (this.drag && this.drag.active) event.preventDefault();
+    }, { passive: false });
+  }
+
+  handlePointerDown(event) {
+    const element = event.target.closest('.tab-bar-container .search-tab[data-tab-id]');
+    if (!element || event.button !== 0 || event.target.closest('.search-tab-close, .search-tab-menu')) return;
+
+    this.drag = {
+      tabId: Number(element.dataset.tabId),
+      element,
+      pointerId: event.pointerId,
+      startX: event.clientX,
+      startY: event.clientY,
+      active: false,
+      timer: null,
+      target: null
+    };
+
+    if (event.pointerType === 'touch') {
+      this.drag.timer = setTimeout(() => {
+        this.start();
+        if (navigator.vibrate) navigator.vibrate(30);
+      }, this.longPressDelay);
+    }
+  }
+
+  handlePointerMove(event) {
+    const drag = this.drag;
+    if (!drag || event.pointerId !== drag.pointerId) return;
+
+    if (!drag.active) {
+      const distance = Math.hypot(event.clientX - drag.startX, event.clientY - drag.startY);
+      if (distance < this.threshold) return;
+      // A touch that moves before the long press fires is a scroll, not a drag
+      if (event.pointerType === 'touch') {
+        this.cancel();
+        return;
+      }
+      this.start();
+    }
+
+    event.preventDefault();
+    drag.element.style.transform = `translateX(${event.clientX - drag.startX}px)`;
+    this.updateTarget(event.clientX, event.clientY);
+  }
+
+  handlePointerUp(event) {
+    const drag = this.drag;
+    if (!drag || event.pointerId !== drag.pointerId) return;
+
+    if (drag.active) {
+      this.drop();
+      // The pointerup is followed by a click that would switch tabs
+      const suppressClick = (clickEvent) => {
+        clickEvent.stopPropagation();
+        clickEvent.preventDefault();
+      };
+      document.addEventListener('click', suppressClick, { capture: true, once: true });
+      setTimeout(() => document.removeEventListener('click', suppressClick, { capture: true }), 0);
+    }
+    this.cancel();
+  }
+
+  start() {
+    if (!this.drag) return;
+    this.drag.active = true;
+    this.drag.element.classList.add('tab-dragging');
+  }
+
+  // Work out where the tab would land: on a group label, or before another tab
+  updateTarget(x, y) {
+    this.clearTargetClasses();
+
+    const hit = document.elementFromPoint(x, y);
+    const groupLabel = hit && hit.closest('.tab-group-label[data-group-id]');
+    if (groupLabel) {
+      groupLabel.classList.add('tab-drop-group');
+      this.drag.target = { groupId: Number(groupLabel.dataset.groupId) };
+      return;
+    }
+
+    const others = Array.from(document.querySelectorAll('.tab-bar-container .search-tab[data-tab-id]'))
+      .filter(element => element !== this.drag.element);
+    const before = others.find(element => {
+      const rect = element.getBoundingClientRect();
+      return x < rect.left + rect.width / 2;
+    });
+    if (before) before.classList.add('tab-drop-before');
+    this.drag.target = { beforeTabId: before ? Number(before.dataset.tabId) : null };
+  }
+
+  drop() {
+    const { tabId, target } = this.drag;
+    const tabManager = this.app.tabManager;
+    if (!target) return;
+
+    if (target.groupId !== undefined) {
+      tabManager.moveTabToGroup(tabId, target.groupId);
+    } else {
+      const remaining = tabManager.getTabs().filter(tab => tab.id !== tabId);
+      const index = remaining.findIndex(tab => tab.id === target.beforeTabId);
+      tabManager.moveTab(tabId, index === -1 ? remaining.length : index);
+    }
+    this.app.syncTabs();
+  }
+
+  clearTargetClasses() {
+    document.querySelectorAll('.tab-drop-before, .tab-drop-group').forEach(element => {
+      element.classList.remove('tab-drop-before', 'tab-drop-group');
+    });
+  }
+
+  cancel() {
+    if (!this.drag) return;
+    clearTimeout(this.drag.timer);
+    this.drag.element.classList.remove('tab-dragging');
+    this.drag.element.style.transform = '';
+    this.clearTargetClasses();
+    this.drag = null;
+  }
 }
 
 // Picture-in-Picture handler for videos
@@ -372,5 +1489,5 @@ class SmoothScroll {
 
 // Export for use in main app
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { MultiSelect, SearchHistory, TabManager, PictureInPicture, SmoothScroll };
+  module.exports = { SelectionStore, MultiSelect, ResultCollections, HistoryDatabase, SearchHistory, TabManager, TabDragController, TAB_GROUP_COLORS, PictureInPicture, SmoothScroll };
 }
@@ -7,6 +7,61 @@ const API_BASE_URL = 'https://api.p2pear.asia';
 const DEFAULT_TIMEOUT = 30000; // 30秒
 const MAX_RETRY_ATTEMPTS = 3;
 const RETRY_DELAY_BASE = 1000; // 1秒
+const MAX_RETRY_AFTER = 60000; // これより長いRetry-Afterはリトライせずにエラーとする
+const RATE_LIMIT_NOTIFY_THRESHOLD = 1000; // クライアント側の待機がこれ以上ならUIに通知
+const CACHE_MAX_ENTRIES = 100;
+const CACHE_STALE_WINDOW = 30 * 60 * 1000; // 30分
+const CACHE_STORAGE_PREFIX = 'wholphin_cache:';
+
+/**
+ * リクエストの既定ヘッダー
+ * @readonly
+ */
+const DEFAULT_HEADERS = {
+  'Accept': 'application/json',
+  'User-Agent': 'WholphinAPI/1.0'
+};
+
+// Service Workerがオフライン時に保存済みレスポンスを返したことを示すヘッダー
+const OFFLINE_HEADER = 'X-Wholphin-Offline';
+
+/**
+ * 検索パラメータのデフォルト値(サーバー側のデフォルトと一致)
+ * @readonly
+ */
+const DEFAULT_SEARCH_PARAMS = {
+  page: 1,
+  type: 'web',
+  safesearch: 0,
+  lang: 'ja'
+};
+
+/**
+ * 検索タイプ別のキャッシュ有効期間(ミリ秒)
+ * @readonly
+ */
+const CACHE_TTL = {
+  web: 5 * 60 * 1000,
+  image: 10 * 60 * 1000,
+  video: 10 * 60 * 1000,
+  news: 2 * 60 * 1000,
+  suggest: 60 * 1000,
+  panel: 30 * 60 * 1000
+};
+
+/**
+ * 検索タイプ別のクライアント側レート制限(トークンバケット)
+ * capacity: 連続で送れる最大リクエスト数, refillPerSecond: 1秒あたりの回復数
+ * @readonly
+ */
+const RATE_LIMITS = {
+  web: { capacity: 10, refillPerSecond: 2 },
+  image: { capacity: 10, refillPerSecond: 2 },
+  video: { capacity: 10, refillPerSecond: 2 },
+  news: { capacity: 10, refillPerSecond: 2 },
+  suggest: { capacity: 3, refillPerSecond: 1 },
+  panel: { capacity: 5, refillPerSecond: 1 }
+};
 
 /**
  * バリデーション定数
@@ -32,67 +87,1261 @@ const SearchType = {
   SUGGEST: 'suggest',
   VIDEO: 'video',
   NEWS: 'news',
-  PANEL: 'panel'
+  PANEL: 'panel',
+  ALL: 'all' // クライアント側で複数タイプを統合する(サーバーには送信しない)
+};
+
+/**
+ * セーフサーチレベル
+ * @readonly
+ * @enum {number}
+ */
+const SafeSearchLevel = {
+  DISABLED: 0,
+  MODERATE: 1,
+  STRICT: 2
+};
+
+/**
+ * 言語コード
+ * @readonly
+ * @enum {string}
+ */
+const Language = {
+  JAPANESE: 'ja',
+  ENGLISH: 'en'
+};
+
+/**
+ * APIエラークラス
+ */
+class WholphinAPIError extends Error {
+  /**
+   * @param {string} message - エラーメッセージ
+   * @param {number|null} status - HTTPステータスコード
+   * @param {*} details - エラー詳細
+   * @param {boolean} [isRetryable=false] - リトライ可能かどうか
+   */
+  constructor(message, status, details, isRetryable = false) {
+    super(message);
+    this.name = 'WholphinAPIError';
+    this.status = status;
+    this.details = details;
+    this.isRetryable = isRetryable;
+    this.timestamp = new Date().toISOString();
+  }
+}
+
+/**
+ * リクエスト中断エラークラス
+ * 呼び出し元のAbortSignalによる中断を表す(WholphinAPIErrorではなく、リトライもされない)
+ */
+class WholphinAPIAbortError extends Error {
+  /**
+   * @param {string} [message='Request was cancelled'] - エラーメッセージ
+   * @param {*} [reason] - AbortSignalの中断理由
+   */
+  constructor(message = 'Request was cancelled', reason) {
+    super(message);
+    this.name = 'WholphinAPIAbortError';
+    this.reason = reason;
+    this.timestamp = new Date().toISOString();
+  }
+}
+
+/**
+ * 「最後のリクエストだけを採用する」ためのヘルパー
+ * run()を呼ぶたびに前回のリクエストを中断する
+ *
+ * @example
+ * const suggestRequest = new LatestRequest();
+ * const data = await suggestRequest.run(signal => api.getSuggestions(q, { signal }));
+ */
+class LatestRequest {
+  constructor() {
+    this.controller = null;
+  }
+
+  /**
+   * 前回のリクエストを中断して新しいリクエストを実行
+   * @param {function(AbortSignal): Promise<*>} task - signalを受け取ってリクエストを行う関数
+   * @returns {Promise<*>} taskの結果
+   * @throws {WholphinAPIAbortError} 後続のrun()またはcancel()で中断された場合
+   */
+  async run(task) {
+    this.cancel();
+    const controller = new AbortController();
+    this.controller = controller;
+
+    try {
+      const result = await task(controller.signal);
+      // signalを無視するtaskでも、古い結果は採用しない
+      if (controller.signal.aborted) {
+        throw new WholphinAPIAbortError('Request was superseded', controller.signal.reason);
+      }
+      return result;
+    } finally {
+      if (this.controller === controller) {
+        this.controller = null;
+      }
+    }
+  }
+
+  /**
+   * 実行中のリクエストを中断
+   */
+  cancel() {
+    if (this.controller) {
+      this.controller.abort();
+      this.controller = null;
+    }
+  }
+}
+
+/**
+ * 結果フィールドの別名(先頭が正式名。サーバー側のスキーマ変更に備えて順に探索する)
+ * @readonly
+ */
+const FIELD_ALIASES = {
+  url: ['url', 'link', 'href'],
+  title: ['title', 'name', 'headline'],
+  snippet: ['snippet', 'content', 'description', 'summary', 'abstract'],
+  thumbnail: ['thumbnail', 'thumbnail_url', 'thumbnailUrl', 'thumbnail_src', 'thumb', 'image', 'img'],
+  publishedAt: ['publishedAt', 'published_at', 'publishedDate', 'published', 'date', 'pubDate'],
+  duration: ['duration', 'length', 'duration_seconds'],
+  imageUrl: ['img_src', 'image_url', 'imageUrl', 'src', 'original'],
+  width: ['width', 'img_width'],
+  height: ['height', 'img_height'],
+  source: ['source', 'publisher', 'site', 'engine'],
+  author: ['author', 'channel', 'uploader'],
+  views: ['views', 'view_count', 'viewCount'],
+  text: ['text', 'suggestion', 'phrase', 'query', 'value'],
+  attributes: ['attributes', 'infobox', 'facts'],
+  totalPages: ['totalPages', 'total_pages', 'pages']
+};
+
+/**
+ * 統合検索でWeb結果の間に差し込むカルーセルの位置(先頭から何件目のWeb結果の後か)
+ * @readonly
+ */
+const BLEND_POSITIONS = {
+  news: 1,
+  image: 3,
+  video: 6
+};
+const CAROUSEL_MAX_ITEMS = 10;
+
+/**
+ * レスポンス中の結果配列を探すキー
+ * @readonly
+ */
+const RESULT_LIST_KEYS = ['results', 'items', 'data', 'suggestions', 'images', 'videos', 'news'];
+
+/**
+ * 検索結果の基底クラス
+ * すべての結果は id, url, title, snippet, thumbnail, domain, publishedAt, duration を持つ(該当しない場合はnull)
+ * id はタイプとURLから作る安定ID。ページ送りや並べ替え、タブの切り替えをまたいでも同じ結果を指す
+ */
+class SearchResult {
+  /**
+   * @param {Object} fields - 正規化済みフィールド
+   * @param {string} fields.url - 結果のURL
+   * @param {string} [fields.title] - タイトル
+   * @param {string|null} [fields.snippet] - 概要
+   * @param {string|null} [fields.thumbnail] - サムネイルURL
+   * @param {string|null} [fields.publishedAt] - 公開日時(ISO 8601)
+   * @param {number|null} [fields.duration] - 再生時間(秒)
+   * @param {string} [type=SearchType.WEB] - 検索タイプ
+   */
+  constructor(fields, type = SearchType.WEB) {
+    this.type = type;
+    this.id = SearchResult.createId(type, fields.url);
+    this.url = fields.url;
+    this.title = fields.title || fields.url;
+    this.snippet = fields.snippet || null;
+    this.thumbnail = fields.thumbnail || null;
+    this.domain = SearchResult.extractDomain(fields.url);
+    this.publishedAt = fields.publishedAt || null;
+    this.duration = fields.duration !== undefined ? fields.duration : null;
+  }
+
+  /**
+   * URLからドメインを抽出(先頭のwww.は除く)
+   * @param {string} url - URL
+   * @returns {string|null} ドメイン
+   */
+  static extractDomain(url) {
+    try {
+      return new URL(url).hostname.replace(/^www\./, '');
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * タイプとURLから安定IDを作る
+   * フラグメントと末尾のスラッシュは無視する(同じページへのリンクは同じIDになる)
+   * @param {string} type - 検索タイプ
+   * @param {string} url - 結果のURL
+   * @returns {string} 安定ID
+   */
+  static createId(type, url) {
+    let key = String(url || '');
+    try {
+      const parsed = new URL(key);
+      parsed.hash = '';
+      parsed.pathname = parsed.pathname.replace(/\/+$/, '') || '/';
+      key = parsed.href;
+    } catch {
+      // URLとして解釈できなければそのまま使う
+    }
+    return `${type}:${key}`;
+  }
+
+  /**
+   * 結果の安定IDを取得
+   * キャッシュや保存済みタブから復元したプレーンなオブジェクトにも使える
+   * @param {Object} result - 検索結果
+   * @returns {string} 安定ID
+   */
+  static idOf(result) {
+    return result.id || SearchResult.createId(result.type || SearchType.WEB, result.url);
+  }
+}
+
+/**
+ * Web検索結果
+ */
+class WebResult extends SearchResult {
+  constructor(fields) {
+    super(fields, SearchType.WEB);
+  }
+}
+
+/**
+ * 画像検索結果
+ */
+class ImageResult extends SearchResult {
+  /**
+   * @param {Object} fields - 正規化済みフィールド(SearchResultに加えて)
+   * @param {string} [fields.imageUrl] - 画像本体のURL
+   * @param {number|null} [fields.width] - 画像の幅
+   * @param {number|null} [fields.height] - 画像の高さ
+   * @param {string|null} [fields.source] - 掲載元
+   */
+  constructor(fields) {
+    super(fields, SearchType.IMAGE);
+    this.imageUrl = fields.imageUrl || fields.url;
+    this.thumbnail = this.thumbnail || this.imageUrl;
+    this.width = fields.width || null;
+    this.height = fields.height || null;
+    this.source = fields.source || this.domain;
+  }
+}
+
+/**
+ * 動画検索結果
+ */
+class VideoResult extends SearchResult {
+  /**
+   * @param {Object} fields - 正規化済みフィールド(SearchResultに加えて)
+   * @param {string|null} [fields.author] - 投稿者・チャンネル
+   * @param {number|null} [fields.views] - 再生回数
+   */
+  constructor(fields) {
+    super(fields, SearchType.VIDEO);
+    this.author = fields.author || null;
+    this.views = fields.views !== undefined ? fields.views : null;
+  }
+}
+
+/**
+ * ニュース記事
+ */
+class NewsItem extends SearchResult {
+  /**
+   * @param {Object} fields - 正規化済みフィールド(SearchResultに加えて)
+   * @param {string|null} [fields.source] - 配信元
+   */
+  constructor(fields) {
+    super(fields, SearchType.NEWS);
+    this.source = fields.source || this.domain;
+  }
+}
+
+/**
+ * サジェスト候補
+ */
+class Suggestion {
+  /**
+   * @param {string} text - 候補文字列
+   */
+  constructor(text) {
+    this.type = SearchType.SUGGEST;
+    this.text = text;
+  }
+
+  toString() {
+    return this.text;
+  }
+}
+
+/**
+ * ナレッジパネル
+ */
+class KnowledgePanel {
+  /**
+   * @param {Object} fields - 正規化済みフィールド
+   * @param {string} fields.title - タイトル
+   * @param {string|null} [fields.snippet] - 説明文
+   * @param {string|null} [fields.thumbnail] - 画像URL
+   * @param {string|null} [fields.url] - 出典URL
+   * @param {Object<string, string>} [fields.attributes] - 属性(生年月日など)
+   */
+  constructor(fields) {
+    this.type = SearchType.PANEL;
+    this.title = fields.title;
+    this.snippet = fields.snippet || null;
+    this.thumbnail = fields.thumbnail || null;
+    this.url = fields.url || null;
+    this.domain = fields.url ? SearchResult.extractDomain(fields.url) : null;
+    this.attributes = fields.attributes || {};
+  }
+}
+
+/**
+ * 統合検索でWeb結果の間に差し込む横スクロール用の結果グループ
+ */
+class ResultCarousel {
+  /**
+   * @param {string} carouselType - 含まれる結果の検索タイプ(image, video, news)
+   * @param {SearchResult[]} items - 結果
+   */
+  constructor(carouselType, items) {
+    this.type = 'carousel';
+    this.carouselType = carouselType;
+    this.items = items.slice(0, CAROUSEL_MAX_ITEMS);
+  }
+}
+
+/**
+ * 検索タイプ別の結果クラス
+ * @readonly
+ */
+const RESULT_CLASSES = {
+  web: WebResult,
+  image: ImageResult,
+  video: VideoResult,
+  news: NewsItem
 };
 
-/**
- * セーフサーチレベル
- * @readonly
- * @enum {number}
- */
-const SafeSearchLevel = {
-  DISABLED: 0,
-  MODERATE: 1,
-  STRICT: 2
-};
+/**
+ * APIレスポンスを検索タイプ別の結果クラスへ正規化する
+ * フィールドの欠落や名称変更はスキーマドリフトとして報告する
+ */
+class ResultNormalizer {
+  /**
+   * @param {function(Object): void} [onDrift] - スキーマドリフト報告先(省略時はconsole.warn)
+   */
+  constructor(onDrift) {
+    this.onDrift = onDrift || (drift => console.warn('Schema drift:', drift.message, drift));
+    this._reported = new Set();
+  }
+
+  /**
+   * レスポンスを正規化
+   * @param {string} type - 検索タイプ
+   * @param {*} data - APIレスポンス
+   * @param {Object} params - 正規化済みリクエストパラメータ
+   * @returns {{query: string, type: string, page: number, results: Array, panel: KnowledgePanel|null, totalPages: number|null}}
+   *   正規化済みレスポンス
+   */
+  normalize(type, data, params) {
+    const response = {
+      query: params.q,
+      type,
+      page: params.page,
+      results: [],
+      panel: null,
+      totalPages: null
+    };
+
+    if (type === SearchType.PANEL) {
+      response.panel = this._normalizePanel(data);
+      return response;
+    }
+
+    const items = this._findItems(type, data);
+    response.results = type === SearchType.SUGGEST
+      ? this._normalizeSuggestions(items)
+      : this._normalizeResults(type, items);
+
+    if (data && !Array.isArray(data) && typeof data === 'object') {
+      const totalPages = this._pick(type, data, 'totalPages');
+      response.totalPages = Number.isInteger(totalPages) ? totalPages : null;
+    }
+    return response;
+  }
+
+  /**
+   * レスポンスから結果配列を探す
+   * @private
+   * @param {string} type - 検索タイプ
+   * @param {*} data - APIレスポンス
+   * @returns {Array} 結果配列
+   */
+  _findItems(type, data) {
+    if (Array.isArray(data)) {
+      // OpenSearch形式のサジェスト: [query, [候補...]]
+      if (type === SearchType.SUGGEST && typeof data[0] === 'string' && Array.isArray(data[1])) {
+        return data[1];
+      }
+      return data;
+    }
+
+    if (data && typeof data === 'object') {
+      const key = RESULT_LIST_KEYS.find(candidate => Array.isArray(data[candidate]));
+      if (key) return data[key];
+    }
+
+    this._report(type, 'shape', null, 'Response does not contain a result list');
+    return [];
+  }
+
+  /**
+   * 結果配列を正規化(URLのない結果は除外)
+   * @private
+   * @param {string} type - 検索タイプ
+   * @param {Array} items - 生の結果配列
+   * @returns {SearchResult[]} 正規化済み結果
+   */
+  _normalizeResults(type, items) {
+    const ResultClass = RESULT_CLASSES[type] || WebResult;
+
+    return items.reduce((results, item) => {
+      if (!item || typeof item !== 'object') {
+        this._report(type, 'shape', null, 'Result item is not an object');
+        return results;
+      }
+
+      const imageUrl = type === SearchType.IMAGE ? this._pick(type, item, 'imageUrl') : undefined;
+      const url = this._pick(type, item, 'url') || imageUrl;
+      if (!url) {
+        this._report(type, 'missing', 'url', 'Result without url was dropped');
+        return results;
+      }
+
+      results.push(new ResultClass({
+        url,
+        imageUrl,
+        title: this._pick(type, item, 'title'),
+        snippet: this._pick(type, item, 'snippet'),
+        thumbnail: this._pick(type, item, 'thumbnail'),
+        publishedAt: ResultNormalizer.parseDate(this._pick(type, item, 'publishedAt')),
+        duration: ResultNormalizer.parseDuration(this._pick(type, item, 'duration')),
+        width: this._pick(type, item, 'width'),
+        height: this._pick(type, item, 'height'),
+        source: this._pick(type, item, 'source'),
+        author: this._pick(type, item, 'author'),
+        views: this._pick(type, item, 'views')
+      }));
+      return results;
+    }, []);
+  }
+
+  /**
+   * サジェスト候補を正規化
+   * @private
+   * @param {Array} items - 生の候補配列(文字列またはオブジェクト)
+   * @returns {Suggestion[]} 正規化済み候補
+   */
+  _normalizeSuggestions(items) {
+    return items.reduce((suggestions, item) => {
+      const text = typeof item === 'string' ? item : item && this._pick(SearchType.SUGGEST, item, 'text');
+      if (typeof text === 'string' && text.trim()) {
+        suggestions.push(new Suggestion(text));
+      } else {
+        this._report(SearchType.SUGGEST, 'missing', 'text', 'Suggestion without text was dropped');
+      }
+      return suggestions;
+    }, []);
+  }
+
+  /**
+   * パネル情報を正規化
+   * @private
+   * @param {*} data - APIレスポンス
+   * @returns {KnowledgePanel|null} ナレッジパネル(情報がなければnull)
+   */
+  _normalizePanel(data) {
+    const type = SearchType.PANEL;
+    const raw = data && typeof data === 'object' && !Array.isArray(data)
+      ? (data.panel || data.infobox || data)
+      : null;
+    if (!raw || Object.keys(raw).length === 0) return null;
+
+    const title = this._pick(type, raw, 'title');
+    if (!title) {
+      this._report(type, 'missing', 'title', 'Panel without title was dropped');
+      return null;
+    }
+
+    const attributes = this._pick(type, raw, 'attributes');
+    return new KnowledgePanel({
+      title,
+      snippet: this._pick(type, raw, 'snippet'),
+      thumbnail: this._pick(type, raw, 'thumbnail'),
+      url: this._pick(type, raw, 'url'),
+      attributes: attributes && typeof attributes === 'object' ? attributes : {}
+    });
+  }
+
+  /**
+   * 別名を考慮してフィールドを取得(正式名以外で見つかった場合は報告)
+   * @private
+   * @param {string} type - 検索タイプ
+   * @param {Object} item - 生データ
+   * @param {string} field - 正規化後のフィールド名
+   * @returns {*} 値(見つからなければundefined)
+   */
+  _pick(type, item, field) {
+    const aliases = FIELD_ALIASES[field];
+    const key = aliases.find(alias => item[alias] !== undefined && item[alias] !== null && item[alias] !== '');
+    if (key === undefined) return undefined;
+
+    if (key !== aliases[0]) {
+      this._report(type, 'renamed', field, `Field "${field}" was found as "${key}"`);
+    }
+    return item[key];
+  }
+
+  /**
+   * スキーマドリフトを報告(同じ内容は1回だけ)
+   * @private
+   * @param {string} type - 検索タイプ
+   * @param {'shape'|'missing'|'renamed'} kind - ドリフトの種類
+   * @param {string|null} field - 対象フィールド
+   * @param {string} message - 説明
+   */
+  _report(type, kind, field, message) {
+    const id = `${type}:${kind}:${field}:${message}`;
+    if (this._reported.has(id)) return;
+    this._reported.add(id);
+    this.onDrift({ type, kind, field, message });
+  }
+
+  /**
+   * 日時をISO 8601文字列に変換
+   * @param {*} value - 日時文字列またはUNIX時刻(秒・ミリ秒)
+   * @returns {string|null} ISO 8601文字列(解釈できなければnull)
+   */
+  static parseDate(value) {
+    if (value === undefined || value === null || value === '') return null;
+
+    const time = typeof value === 'number'
+      ? (value < 1e12 ? value * 1000 : value)
+      : Date.parse(value);
+    return Number.isNaN(time) ? null : new Date(time).toISOString();
+  }
+
+  /**
+   * 再生時間を秒数に変換
+   * @param {*} value - 秒数、"mm:ss" / "hh:mm:ss"、またはISO 8601期間("PT4M13S")
+   * @returns {number|null} 秒数(解釈できなければnull)
+   */
+  static parseDuration(value) {
+    if (typeof value === 'number') return value;
+    if (typeof value !== 'string' || value.trim() === '') return null;
+
+    const text = value.trim();
+    if (/^\d+(\.\d+)?$/.test(text)) return Number(text);
+
+    if (/^\d+(:\d{1,2}){1,2}$/.test(text)) {
+      return text.split(':').reduce((total, part) => total * 60 + Number(part), 0);
+    }
+
+    const iso = text.match(/^PT(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:\.\d+)?)S)?$/);
+    if (iso) {
+      return Number(iso[1] || 0) * 3600 + Number(iso[2] || 0) * 60 + Number(iso[3] || 0);
+    }
+    return null;
+  }
+}
+
+/**
+ * メモリ上のLRUキャッシュストア
+ */
+class MemoryCacheStore {
+  /**
+   * @param {number} [maxEntries=100] - 最大エントリ数
+   */
+  constructor(maxEntries = CACHE_MAX_ENTRIES) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  /**
+   * エントリを取得(取得したエントリは最新として扱う)
+   * @param {string} key - キャッシュキー
+   * @returns {Object|undefined} キャッシュエントリ
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (entry === undefined) return undefined;
+
+    // 挿入順を更新してLRUを維持
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  /**
+   * エントリを保存(上限を超えた場合は最も古いものを破棄)
+   * @param {string} key - キャッシュキー
+   * @param {Object} entry - キャッシュエントリ
+   */
+  set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    while (this.entries.size > this.maxEntries) {
+      const oldestKey = this.entries.keys().next().value;
+      this.entries.delete(oldestKey);
+    }
+  }
+
+  /**
+   * @param {string} key - キャッシュキー
+   */
+  delete(key) {
+    this.entries.delete(key);
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  /**
+   * @returns {Object[]} すべてのエントリ
+   */
+  values() {
+    return Array.from(this.entries.values());
+  }
+}
+
+/**
+ * localStorageを使った永続キャッシュストア
+ */
+class LocalStorageCacheStore {
+  /**
+   * @param {string} [prefix] - localStorageキーの接頭辞
+   */
+  constructor(prefix = CACHE_STORAGE_PREFIX) {
+    this.prefix = prefix;
+  }
+
+  /**
+   * @param {string} key - キャッシュキー
+   * @returns {Promise<Object|undefined>} キャッシュエントリ
+   */
+  async get(key) {
+    try {
+      const data = localStorage.getItem(this.prefix + key);
+      return data ? JSON.parse(data) : undefined;
+    } catch {
+      return undefined;
+    }
+  }
+
+  /**
+   * @param {string} key - キャッシュキー
+   * @param {Object} entry - キャッシュエントリ
+   * @returns {Promise<void>}
+   */
+  async set(key, entry) {
+    localStorage.setItem(this.prefix + key, JSON.stringify(entry));
+  }
+
+  /**
+   * @param {string} key - キャッシュキー
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    localStorage.removeItem(this.prefix + key);
+  }
+
+  /**
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    this._storageKeys().forEach(storageKey => localStorage.removeItem(storageKey));
+  }
+
+  /**
+   * @returns {Promise<Object[]>} すべてのエントリ
+   */
+  async values() {
+    const entries = [];
+    for (const storageKey of this._storageKeys()) {
+      const entry = await this.get(storageKey.slice(this.prefix.length));
+      if (entry) entries.push(entry);
+    }
+    return entries;
+  }
+
+  /**
+   * このストアが管理するlocalStorageキー一覧
+   * @private
+   * @returns {string[]}
+   */
+  _storageKeys() {
+    const keys = [];
+    for (let i = 0; i < localStorage.length; i++) {
+      const storageKey = localStorage.key(i);
+      if (storageKey && storageKey.startsWith(this.prefix)) {
+        keys.push(storageKey);
+      }
+    }
+    return keys;
+  }
+}
+
+/**
+ * IndexedDBを使った永続キャッシュストア
+ */
+class IndexedDBCacheStore {
+  /**
+   * @param {string} [dbName='wholphin_cache'] - データベース名
+   * @param {string} [storeName='responses'] - オブジェクトストア名
+   */
+  constructor(dbName = 'wholphin_cache', storeName = 'responses') {
+    this.dbName = dbName;
+    this.storeName = storeName;
+    this._dbPromise = null;
+  }
+
+  /**
+   * データベースを開く(初回のみ)
+   * @private
+   * @returns {Promise<IDBDatabase>}
+   */
+  _open() {
+    if (!this._dbPromise) {
+      this._dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(this.storeName, { keyPath: 'key' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this._dbPromise;
+  }
+
+  /**
+   * オブジェクトストアに対して1回の操作を実行
+   * @private
+   * @param {IDBTransactionMode} mode - トランザクションモード
+   * @param {function(IDBObjectStore): IDBRequest} operation - 実行する操作
+   * @returns {Promise<*>} 操作結果
+   */
+  async _run(mode, operation) {
+    const db = await this._open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.storeName, mode);
+      const request = operation(transaction.objectStore(this.storeName));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * @param {string} key - キャッシュキー
+   * @returns {Promise<Object|undefined>} キャッシュエントリ
+   */
+  get(key) {
+    return this._run('readonly', store => store.get(key));
+  }
+
+  /**
+   * @param {string} key - キャッシュキー
+   * @param {Object} entry - キャッシュエントリ
+   * @returns {Promise<void>}
+   */
+  async set(key, entry) {
+    await this._run('readwrite', store => store.put({ ...entry, key }));
+  }
+
+  /**
+   * @param {string} key - キャッシュキー
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    await this._run('readwrite', store => store.delete(key));
+  }
+
+  /**
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    await this._run('readwrite', store => store.clear());
+  }
+
+  /**
+   * @returns {Promise<Object[]>} すべてのエントリ
+   */
+  values() {
+    return this._run('readonly', store => store.getAll());
+  }
+}
+
+/**
+ * トークンバケット方式のレートリミッター
+ * トークンを前借りする形で予約するため、待機中のリクエストも呼び出し順に送信される
+ */
+class TokenBucket {
+  /**
+   * @param {Object} limit - 制限設定
+   * @param {number} limit.capacity - バケット容量(連続で送れる最大リクエスト数)
+   * @param {number} limit.refillPerSecond - 1秒あたりのトークン回復数
+   */
+  constructor({ capacity, refillPerSecond }) {
+    this.capacity = capacity;
+    this.refillPerSecond = refillPerSecond;
+    this.tokens = capacity;
+    this.updatedAt = Date.now();
+  }
+
+  /**
+   * 経過時間に応じてトークンを回復
+   * @private
+   */
+  _refill() {
+    const now = Date.now();
+    const elapsed = (now - this.updatedAt) / 1000;
+    this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.refillPerSecond);
+    this.updatedAt = now;
+  }
+
+  /**
+   * トークンを1つ予約し、送信可能になるまでの待ち時間を返す
+   * @returns {number} 待ち時間(ミリ秒、すぐ送信できる場合は0)
+   */
+  reserve() {
+    this._refill();
+    this.tokens -= 1;
+    return this.tokens >= 0 ? 0 : Math.ceil((-this.tokens / this.refillPerSecond) * 1000);
+  }
+
+  /**
+   * 使わなかった予約を返却
+   */
+  release() {
+    this._refill();
+    this.tokens = Math.min(this.capacity, this.tokens + 1);
+  }
+}
+
+/**
+ * レスポンスキャッシュ
+ * メモリ上のLRUを一次キャッシュとし、任意で永続ストアを二次キャッシュとして使う
+ */
+class ResponseCache {
+  /**
+   * @param {Object} [options] - キャッシュオプション
+   * @param {number} [options.maxEntries=100] - メモリキャッシュの最大エントリ数
+   * @param {Object<string, number>} [options.ttl] - 検索タイプ別の有効期間(ミリ秒)
+   * @param {number} [options.staleWindow=1800000] - 期限切れ後も古いデータを返せる期間(ミリ秒)
+   * @param {'indexeddb'|'localstorage'|Object|null} [options.storage=null] - 永続ストア
+   */
+  constructor(options = {}) {
+    this.memory = new MemoryCacheStore(options.maxEntries || CACHE_MAX_ENTRIES);
+    this.ttl = { ...CACHE_TTL, ...options.ttl };
+    this.staleWindow = options.staleWindow !== undefined ? options.staleWindow : CACHE_STALE_WINDOW;
+    this.persistent = ResponseCache.createStore(options.storage);
+
+    if (this.persistent) {
+      this.prune();
+    }
+  }
+
+  /**
+   * 永続ストアを生成(利用できない環境ではフォールバック)
+   * @param {'indexeddb'|'localstorage'|Object|null} storage - ストア指定
+   * @returns {Object|null} 永続ストア
+   */
+  static createStore(storage) {
+    if (!storage) return null;
+    if (typeof storage === 'object') return storage;
+
+    if (storage === 'indexeddb' && typeof indexedDB !== 'undefined') {
+      return new IndexedDBCacheStore();
+    }
+    if (typeof localStorage !== 'undefined') {
+      return new LocalStorageCacheStore();
+    }
+    return null;
+  }
+
+  /**
+   * 検索タイプの有効期間を取得
+   * @param {string} type - 検索タイプ
+   * @returns {number} 有効期間(ミリ秒)
+   */
+  getTTL(type) {
+    return this.ttl[type] !== undefined ? this.ttl[type] : this.ttl[DEFAULT_SEARCH_PARAMS.type];
+  }
+
+  /**
+   * キャッシュを取得
+   * @param {string} key - キャッシュキー
+   * @returns {Promise<{data: *, age: number, isStale: boolean}|null>} キャッシュ(破棄済みならnull)
+   */
+  async get(key) {
+    let entry = this.memory.get(key);
+
+    if (!entry && this.persistent) {
+      try {
+        entry = await this.persistent.get(key);
+      } catch (error) {
+        console.warn('Cache read failed:', error);
+      }
+      if (entry) this.memory.set(key, entry);
+    }
+
+    if (!entry) return null;
+
+    const age = Date.now() - entry.storedAt;
+    const ttl = this.getTTL(entry.type);
+
+    if (age > ttl + this.staleWindow) {
+      await this.delete(key);
+      return null;
+    }
+
+    return { data: entry.data, age, isStale: age > ttl };
+  }
+
+  /**
+   * キャッシュに保存
+   * @param {string} key - キャッシュキー
+   * @param {*} data - レスポンスデータ
+   * @param {Object} params - 正規化済みリクエストパラメータ
+   * @returns {Promise<void>}
+   */
+  async set(key, data, params) {
+    const entry = { key, data, params, type: params.type, storedAt: Date.now() };
+    this.memory.set(key, entry);
+
+    if (this.persistent) {
+      try {
+        await this.persistent.set(key, entry);
+      } catch (error) {
+        // 容量超過などは致命的ではないため、メモリキャッシュのみで続行
+        console.warn('Cache write failed:', error);
+      }
+    }
+  }
+
+  /**
+   * @param {string} key - キャッシュキー
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    this.memory.delete(key);
+    if (this.persistent) {
+      try {
+        await this.persistent.delete(key);
+      } catch (error) {
+        console.warn('Cache delete failed:', error);
+      }
+    }
+  }
+
+  /**
+   * 条件に一致するエントリを破棄
+   * @param {Object|function(Object, Object): boolean} filter - パラメータの部分一致オブジェクト、または判定関数(params, entry)
+   * @returns {Promise<number>} 破棄したエントリ数
+   */
+  async invalidate(filter) {
+    const matches = typeof filter === 'function'
+      ? filter
+      : params => Object.entries(filter).every(([key, value]) => params[key] === value);
+
+    const entries = [...this.memory.values()];
+    if (this.persistent) {
+      try {
+        entries.push(...await this.persistent.values());
+      } catch (error) {
+        console.warn('Cache read failed:', error);
+      }
+    }
+
+    const keys = new Set(entries.filter(entry => matches(entry.params || {}, entry)).map(entry => entry.key));
+    for (const key of keys) {
+      await this.delete(key);
+    }
+    return keys.size;
+  }
+
+  /**
+   * 古いデータとしても返せなくなったエントリを破棄
+   * @returns {Promise<number>} 破棄したエントリ数
+   */
+  prune() {
+    const now = Date.now();
+    return this.invalidate((params, entry) => now - entry.storedAt > this.getTTL(entry.type) + this.staleWindow);
+  }
+
+  /**
+   * すべてのエントリを破棄
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    this.memory.clear();
+    if (this.persistent) {
+      try {
+        await this.persistent.clear();
+      } catch (error) {
+        console.warn('Cache clear failed:', error);
+      }
+    }
+  }
+}
+
+/**
+ * Wholphin Search API Client
+ */
+class WholphinAPI {
+  /**
+   * @param {string} [baseUrl] - APIベースURL
+   * @param {Object} [options] - クライアントオプション
+   * @param {number} [options.timeout=30000] - タイムアウト時間(ミリ秒)
+   * @param {number} [options.maxRetries=3] - 最大リトライ回数
+   * @param {boolean} [options.enableRetry=true] - リトライを有効にするか
+   * @param {Object|ResponseCache|false} [options.cache] - キャッシュ設定(falseで無効化)
+   * @param {boolean} [options.normalize=true] - レスポンスを結果クラスへ正規化するか
+   * @param {function(Object): void} [options.onSchemaDrift] - スキーマドリフトの報告先
+   * @param {Object<string, {capacity: number, refillPerSecond: number}>|false} [options.rateLimits]
+   *   検索タイプ別のレート制限(falseで無効化)
+   * @param {boolean} [options.privateMode=false] - プライベートモードで開始するか
+   */
+  constructor(baseUrl = API_BASE_URL, options = {}) {
+    this._validateUrl(baseUrl);
+    this.baseUrl = baseUrl;
+    this.timeout = options.timeout || DEFAULT_TIMEOUT;
+    this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : MAX_RETRY_ATTEMPTS;
+    this.enableRetry = options.enableRetry !== false;
+    this.cache = this._createCache(options.cache);
+    this._revalidating = new Set();
+    this._inFlight = new Map();
+    this.interceptors = [];
+    this.normalize = options.normalize !== false;
+    this.normalizer = new ResultNormalizer(options.onSchemaDrift);
+    this.rateLimits = options.rateLimits === false ? null : { ...RATE_LIMITS, ...options.rateLimits };
+    this._buckets = new Map();
+    this.rateLimitState = { limited: false, type: null, retryAt: null, source: null };
+    this._rateLimitListeners = new Set();
+    this.privateMode = Boolean(options.privateMode);
+  }
+
+  /**
+   * プライベートモードを切り替える
+   * 有効な間はレスポンスキャッシュを読み書きせず、HTTPキャッシュとService Workerのキャッシュも使わない
+   * @param {boolean} enabled - 有効にするか
+   */
+  setPrivateMode(enabled) {
+    this.privateMode = Boolean(enabled);
+  }
+
+  /**
+   * レート制限状態の変化を購読
+   * 状態は { limited, type, retryAt (UNIX時刻ミリ秒), source ('client' | 'server') }
+   * @param {function(Object): void} listener - 状態が変わるたびに呼ばれる
+   * @returns {function(): void} 購読解除関数
+   */
+  onRateLimitChange(listener) {
+    this._rateLimitListeners.add(listener);
+    return () => this._rateLimitListeners.delete(listener);
+  }
+
+  /**
+   * レート制限状態を更新して通知
+   * @private
+   * @param {Object} state - 新しい状態
+   */
+  _setRateLimitState(state) {
+    this.rateLimitState = state;
+    this._rateLimitListeners.forEach(listener => {
+      // 購読側の例外でリクエストを失敗させない
+      try {
+        listener(state);
+      } catch (error) {
+        console.warn('Rate limit listener failed:', error);
+      }
+    });
+  }
+
+  /**
+   * レート制限を考慮して待機
+   * @private
+   * @param {string} type - 検索タイプ
+   * @param {number} waitMs - 待機時間(ミリ秒)
+   * @param {'client'|'server'} source - 制限の発生元
+   * @param {AbortSignal} [signal] - 中断シグナル
+   * @returns {Promise<void>}
+   */
+  async _waitForRateLimit(type, waitMs, source, signal) {
+    const notify = source === 'server' || waitMs >= RATE_LIMIT_NOTIFY_THRESHOLD;
+    const state = { limited: true, type, retryAt: Date.now() + waitMs, source };
+    if (notify) {
+      this._setRateLimitState(state);
+    }
+
+    try {
+      await this._delay(waitMs, signal);
+    } finally {
+      // 待機中に別の制限が通知されていなければ解除
+      if (this.rateLimitState === state) {
+        this._setRateLimitState({ limited: false, type: null, retryAt: null, source: null });
+      }
+    }
+  }
+
+  /**
+   * クライアント側のレート制限トークンを取得(必要なら待機)
+   * @private
+   * @param {string} type - 検索タイプ
+   * @param {AbortSignal} [signal] - 中断シグナル
+   * @returns {Promise<void>}
+   * @throws {WholphinAPIAbortError} 待機中に中断された場合
+   */
+  async _acquireRateLimit(type, signal) {
+    if (!this.rateLimits || !this.rateLimits[type]) return;
+
+    if (!this._buckets.has(type)) {
+      this._buckets.set(type, new TokenBucket(this.rateLimits[type]));
+    }
+    const bucket = this._buckets.get(type);
+    const waitMs = bucket.reserve();
+    if (waitMs === 0) return;
+
+    try {
+      await this._waitForRateLimit(type, waitMs, 'client', signal);
+    } catch (error) {
+      // 中断されたリクエストの予約は返却する
+      bucket.release();
+      throw error;
+    }
+  }
+
+  /**
+   * インターセプターを登録(登録順に実行される)
+   *
+   * - request(context): 試行ごとに呼ばれる。context.url / context.headers を書き換えられる。
+   *   undefined以外を返すとHTTPリクエストを行わず、その値をレスポンスとして扱う
+   * - response(data, context): 成功時に呼ばれる。undefined以外を返すとレスポンスを置き換える
+   * - error(error, context): リトライ後も失敗したときに呼ばれる。undefined以外を返すと
+   *   その値をレスポンスとして回復し、throwすればエラーを置き換える
+   *
+   * キャッシュから返したレスポンスにはインターセプターは適用されない(保存済みの値は適用後のもの)
+   *
+   * @param {Object} interceptor - インターセプター
+   * @param {function(Object): (*|Promise<*>)} [interceptor.request] - リクエスト前処理
+   * @param {function(*, Object): (*|Promise<*>)} [interceptor.response] - レスポンス後処理
+   * @param {function(Error, Object): (*|Promise<*>)} [interceptor.error] - エラー処理
+   * @returns {function(): void} 登録解除関数
+   * @throws {WholphinAPIError} 不正なインターセプター
+   */
+  use(interceptor) {
+    const hooks = ['request', 'response', 'error'];
+    if (!interceptor || !hooks.some(hook => typeof interceptor[hook] === 'function')) {
+      throw new WholphinAPIError(
+        `Invalid interceptor: must implement one of ${hooks.join(', ')}`,
+        null,
+        interceptor
+      );
+    }
+
+    this.interceptors.push(interceptor);
+    return () => {
+      this.interceptors = this.interceptors.filter(registered => registered !== interceptor);
+    };
+  }
 
-/**
- * 言語コード
- * @readonly
- * @enum {string}
- */
-const Language = {
-  JAPANESE: 'ja',
-  ENGLISH: 'en'
-};
+  /**
+   * リクエストインターセプターを実行
+   * @private
+   * @param {Object} context - 試行ごとのリクエストコンテキスト
+   * @returns {Promise<*>} 合成レスポンス(HTTPリクエストを行う場合はundefined)
+   */
+  async _runRequestInterceptors(context) {
+    for (const interceptor of this.interceptors) {
+      if (!interceptor.request) continue;
+      const synthetic = await interceptor.request(context);
+      if (synthetic !== undefined) {
+        context.synthetic = true;
+        return synthetic;
+      }
+    }
+    return undefined;
+  }
 
-/**
- * APIエラークラス
- */
-class WholphinAPIError extends Error {
   /**
-   * @param {string} message - エラーメッセージ
-   * @param {number|null} status - HTTPステータスコード
-   * @param {*} details - エラー詳細
-   * @param {boolean} [isRetryable=false] - リトライ可能かどうか
+   * レスポンスインターセプターを実行
+   * @private
+   * @param {*} data - レスポンスデータ
+   * @param {Object} context - リクエストコンテキスト
+   * @returns {Promise<*>} 変換後のレスポンスデータ
    */
-  constructor(message, status, details, isRetryable = false) {
-    super(message);
-    this.name = 'WholphinAPIError';
-    this.status = status;
-    this.details = details;
-    this.isRetryable = isRetryable;
-    this.timestamp = new Date().toISOString();
+  async _runResponseInterceptors(data, context) {
+    let result = data;
+    for (const interceptor of this.interceptors) {
+      if (!interceptor.response) continue;
+      const transformed = await interceptor.response(result, context);
+      if (transformed !== undefined) result = transformed;
+    }
+    return result;
   }
-}
 
-/**
- * Wholphin Search API Client
- */
-class WholphinAPI {
   /**
-   * @param {string} [baseUrl] - APIベースURL
-   * @param {Object} [options] - クライアントオプション
-   * @param {number} [options.timeout=30000] - タイムアウト時間(ミリ秒)
-   * @param {number} [options.maxRetries=3] - 最大リトライ回数
-   * @param {boolean} [options.enableRetry=true] - リトライを有効にするか
+   * エラーインターセプターを実行
+   * @private
+   * @param {Error} error - 発生したエラー
+   * @param {Object} context - リクエストコンテキスト
+   * @returns {Promise<*>} 回復したレスポンスデータ
+   * @throws {Error} 回復しなかった場合は元のエラー
    */
-  constructor(baseUrl = API_BASE_URL, options = {}) {
-    this._validateUrl(baseUrl);
-    this.baseUrl = baseUrl;
-    this.timeout = options.timeout || DEFAULT_TIMEOUT;
-    this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : MAX_RETRY_ATTEMPTS;
-    this.enableRetry = options.enableRetry !== false;
+  async _runErrorInterceptors(error, context) {
+    for (const interceptor of this.interceptors) {
+      if (!interceptor.error) continue;
+      const recovered = await interceptor.error(error, context);
+      if (recovered !== undefined) return recovered;
+    }
+    throw error;
+  }
+
+  /**
+   * キャッシュを生成
+   * @private
+   * @param {Object|ResponseCache|false} [config] - キャッシュ設定
+   * @returns {ResponseCache|null} キャッシュ
+   */
+  _createCache(config) {
+    if (config === false) return null;
+    if (config instanceof ResponseCache) return config;
+    return new ResponseCache(config || {});
+  }
+
+  /**
+   * 中断エラーかどうかを判定
+   * @param {*} error - エラーオブジェクト
+   * @returns {boolean} 中断エラーかどうか
+   */
+  static isAbortError(error) {
+    return error instanceof WholphinAPIAbortError;
   }
 
   /**
@@ -193,6 +1442,34 @@ class WholphinAPI {
     return filtered.length > 0 ? `?${filtered.join('&')}` : '';
   }
 
+  /**
+   * キャッシュキー用にパラメータを正規化(省略値をデフォルトで補完)
+   * @private
+   * @param {Object} params - リクエストパラメータ
+   * @returns {Object} 正規化済みパラメータ
+   */
+  _normalizeParams(params) {
+    const normalized = {};
+    Object.keys(params).sort().forEach(key => {
+      const value = params[key] !== undefined && params[key] !== null
+        ? params[key]
+        : DEFAULT_SEARCH_PARAMS[key];
+      if (value !== undefined) normalized[key] = value;
+    });
+    return normalized;
+  }
+
+  /**
+   * キャッシュキーを生成
+   * @private
+   * @param {string} endpoint - エンドポイントパス
+   * @param {Object} params - 正規化済みパラメータ
+   * @returns {string} キャッシュキー
+   */
+  _createCacheKey(endpoint, params) {
+    return `${endpoint}${this._buildQueryString(params)}`;
+  }
+
   /**
    * リトライ可能なエラーかどうかを判定
    * @private
@@ -209,26 +1486,77 @@ class WholphinAPI {
     return retryableStatuses.includes(status);
   }
 
+  /**
+   * Retry-Afterヘッダーを解釈
+   * @private
+   * @param {string|null} value - ヘッダー値(秒数またはHTTP日付)
+   * @returns {number|null} 待機時間(ミリ秒、解釈できなければnull)
+   */
+  _parseRetryAfter(value) {
+    if (!value || value.trim() === '') return null;
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
   /**
    * リトライ遅延を計算(エクスポネンシャルバックオフ)
    * @private
    * @param {number} attempt - リトライ試行回数(0始まり)
+   * @param {number|null} [retryAfter] - サーバー指定の待機時間(ミリ秒、指定時はこちらを優先)
    * @returns {number} 遅延時間(ミリ秒)
    */
-  _calculateRetryDelay(attempt) {
+  _calculateRetryDelay(attempt, retryAfter = null) {
+    if (retryAfter !== null) return retryAfter;
+
     // ジッターを追加してThundering Herd問題を回避
     const jitter = Math.random() * 1000;
     return RETRY_DELAY_BASE * Math.pow(2, attempt) + jitter;
   }
 
+  /**
+   * 中断済みであれば中断エラーをthrow
+   * @private
+   * @param {AbortSignal} [signal] - 中断シグナル
+   * @throws {WholphinAPIAbortError} 中断済み
+   */
+  _throwIfAborted(signal) {
+    if (signal && signal.aborted) {
+      throw new WholphinAPIAbortError(undefined, signal.reason);
+    }
+  }
+
   /**
    * 遅延を実行
    * @private
    * @param {number} ms - 遅延時間(ミリ秒)
+   * @param {AbortSignal} [signal] - 中断シグナル(中断時は即座にreject)
    * @returns {Promise<void>}
+   * @throws {WholphinAPIAbortError} 待機中に中断された
    */
-  _delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  _delay(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(new WholphinAPIAbortError(undefined, signal.reason));
+        return;
+      }
+
+      const onAbort = () => {
+        clearTimeout(timeoutId);
+        reject(new WholphinAPIAbortError(undefined, signal.reason));
+      };
+      const timeoutId = setTimeout(() => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
   }
 
   /**
@@ -237,22 +1565,28 @@ class WholphinAPI {
    * @param {string} url - リクエストURL
    * @param {Object} options - フェッチオプション
    * @param {number} timeout - タイムアウト時間(ミリ秒)
+   * @param {AbortSignal} [signal] - 呼び出し元の中断シグナル
    * @returns {Promise<Response>} レスポンス
    * @throws {WholphinAPIError} タイムアウトエラー
+   * @throws {WholphinAPIAbortError} 呼び出し元による中断
    */
-  async _fetchWithTimeout(url, options, timeout) {
+  async _fetchWithTimeout(url, options, timeout, signal) {
+    this._throwIfAborted(signal);
+
     const controller = new AbortController();
     const timeoutId = setTimeout(() => controller.abort(), timeout);
+    const onAbort = () => controller.abort();
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
 
     try {
       const response = await fetch(url, {
         ...options,
         signal: controller.signal
       });
-      clearTimeout(timeoutId);
       return response;
     } catch (error) {
-      clearTimeout(timeoutId);
+      // 呼び出し元による中断はタイムアウトと区別する
+      this._throwIfAborted(signal);
       if (error.name === 'AbortError') {
         throw new WholphinAPIError(
           `Request timeout after ${timeout}ms`,
@@ -262,32 +1596,105 @@ class WholphinAPI {
         );
       }
       throw error;
+    } finally {
+      clearTimeout(timeoutId);
+      if (signal) signal.removeEventListener('abort', onAbort);
     }
   }
 
   /**
-   * APIリクエストを実行(リトライ機能付き)
+   * APIリクエストを実行(インターセプター適用)
    * @private
    * @param {string} endpoint - エンドポイントパス
    * @param {Object} params - クエリパラメータ
+   * @param {Object} [requestOptions] - リクエストオプション
+   * @param {AbortSignal} [requestOptions.signal] - 中断シグナル
+   * @param {Object} [requestOptions.meta] - レスポンスのメタ情報を書き込むオブジェクト({ offline })
+   * @returns {Promise<Object>} レスポンスデータ
+   * @throws {WholphinAPIError} APIエラー
+   * @throws {WholphinAPIAbortError} 中断された場合
+   */
+  async _request(endpoint, params = {}, requestOptions = {}) {
+    const baseContext = {
+      endpoint,
+      params,
+      url: `${this.baseUrl}${endpoint}${this._buildQueryString(params)}`,
+      headers: { ...DEFAULT_HEADERS },
+      signal: requestOptions.signal
+    };
+    const state = { context: baseContext };
+
+    try {
+      const data = await this._requestWithRetry(baseContext, state);
+      if (requestOptions.meta) {
+        requestOptions.meta.offline = state.context.offline;
+      }
+      return data;
+    } catch (error) {
+      if (error instanceof WholphinAPIAbortError) {
+        throw error;
+      }
+      return await this._runErrorInterceptors(error, state.context);
+    }
+  }
+
+  /**
+   * 試行ごとのリクエストコンテキストを生成
+   * リトライ時も毎回元のリクエストから作り直し、インターセプターの変更が積み重ならないようにする
+   * @private
+   * @param {Object} baseContext - 元のリクエストコンテキスト
+   * @param {number} attempt - 試行回数(0始まり)
+   * @returns {Object} リクエストコンテキスト
+   */
+  _createAttemptContext(baseContext, attempt) {
+    return {
+      ...baseContext,
+      params: { ...baseContext.params },
+      headers: { ...baseContext.headers },
+      attempt,
+      startedAt: Date.now(),
+      response: null,
+      synthetic: false,
+      offline: false
+    };
+  }
+
+  /**
+   * APIリクエストを実行(リトライ機能付き)
+   * @private
+   * @param {Object} baseContext - 元のリクエストコンテキスト
+   * @param {Object} state - 最後の試行のコンテキストを記録するオブジェクト
    * @returns {Promise<Object>} レスポンスデータ
    * @throws {WholphinAPIError} APIエラー
+   * @throws {WholphinAPIAbortError} 中断された場合
    */
-  async _request(endpoint, params = {}) {
-    const url = `${this.baseUrl}${endpoint}${this._buildQueryString(params)}`;
+  async _requestWithRetry(baseContext, state) {
+    const { signal } = baseContext;
     let lastError;
 
     const maxAttempts = this.enableRetry ? this.maxRetries : 1;
 
     for (let attempt = 0; attempt < maxAttempts; attempt++) {
+      const context = this._createAttemptContext(baseContext, attempt);
+      state.context = context;
+
+      const synthetic = await this._runRequestInterceptors(context);
+      if (synthetic !== undefined) {
+        return await this._runResponseInterceptors(synthetic, context);
+      }
+
+      const type = context.params.type || DEFAULT_SEARCH_PARAMS.type;
+      await this._acquireRateLimit(type, signal);
+
+      let data;
       try {
-        const response = await this._fetchWithTimeout(url, {
+        const response = await this._fetchWithTimeout(context.url, {
           method: 'GET',
-          headers: {
-            'Accept': 'application/json',
-            'User-Agent': 'WholphinAPI/1.0'
-          }
-        }, this.timeout);
+          headers: context.headers,
+          // Service Workerはno-storeのリクエストを保存しない
+          cache: this.privateMode ? 'no-store' : 'default'
+        }, this.timeout, signal);
+        context.response = response;
 
         if (!response.ok) {
           let errorDetails;
@@ -303,13 +1710,16 @@ class WholphinAPI {
             errorDetails = 'Unable to parse error response';
           }
 
-          const isRetryable = this._isRetryableError(null, response.status);
+          const retryAfter = this._parseRetryAfter(response.headers.get('retry-after'));
+          const isRetryable = this._isRetryableError(null, response.status) &&
+            (retryAfter === null || retryAfter <= MAX_RETRY_AFTER);
           const error = new WholphinAPIError(
             `API request failed: ${response.status} ${response.statusText}`,
             response.status,
             errorDetails,
             isRetryable
           );
+          error.retryAfter = retryAfter;
 
           // リトライ不可能なエラーは即座にthrow
           if (!isRetryable || attempt === maxAttempts - 1) {
@@ -317,8 +1727,13 @@ class WholphinAPI {
           }
 
           lastError = error;
-          // 次のリトライ前に待機
-          await this._delay(this._calculateRetryDelay(attempt));
+          // 次のリトライ前に待機(429はサーバー指定の時間を優先してUIにも通知)
+          const delay = this._calculateRetryDelay(attempt, retryAfter);
+          if (response.status === 429) {
+            await this._waitForRateLimit(type, delay, 'server', signal);
+          } else {
+            await this._delay(delay, signal);
+          }
           continue;
         }
 
@@ -332,9 +1747,16 @@ class WholphinAPI {
           );
         }
 
-        return await response.json();
+        data = await response.json();
+        this._throwIfAborted(signal);
+        context.offline = response.headers.get(OFFLINE_HEADER) === '1';
 
       } catch (error) {
+        // 中断はリトライせずにそのままthrow
+        if (error instanceof WholphinAPIAbortError) {
+          throw error;
+        }
+
         // WholphinAPIErrorの場合はそのままthrow(既に処理済み)
         if (error instanceof WholphinAPIError) {
           if (!error.isRetryable || attempt === maxAttempts - 1) {
@@ -357,8 +1779,11 @@ class WholphinAPI {
         }
 
         // 次のリトライ前に待機
-        await this._delay(this._calculateRetryDelay(attempt));
+        await this._delay(this._calculateRetryDelay(attempt), signal);
+        continue;
       }
+
+      return await this._runResponseInterceptors(data, context);
     }
 
     // すべてのリトライが失敗
@@ -373,13 +1798,22 @@ class WholphinAPI {
    * @param {string} [options.type='web'] - 検索タイプ
    * @param {number} [options.safesearch=0] - セーフサーチレベル (0-2)
    * @param {string} [options.lang='ja'] - 言語コード
-   * @returns {Promise<Object>} 検索結果
+   * @param {'default'|'reload'|'no-store'} [options.cache='default'] - キャッシュモード
+   *   (reload: キャッシュを読まずに取得して保存, no-store: キャッシュを一切使わない)
+   * @param {function(Object): void} [options.onRevalidate] - 古いキャッシュを返した後、再取得が完了したときに呼ばれる
+   * @param {AbortSignal} [options.signal] - 中断シグナル
+   * @returns {Promise<Object>} 検索結果(正規化有効時は { query, type, page, results, panel, totalPages, offline })
    * @throws {WholphinAPIError} APIエラー
+   * @throws {WholphinAPIAbortError} 中断された場合
    */
   async search(options) {
     // バリデーション実行
     this._validateSearchParams(options);
 
+    if (options.type === SearchType.ALL) {
+      return await this.searchAll(options.q, options);
+    }
+
     const params = {
       q: options.q.trim(), // 前後の空白を削除
       page: options.page,
@@ -388,7 +1822,361 @@ class WholphinAPI {
       lang: options.lang
     };
 
-    return await this._request('/search', params);
+    const cacheMode = this.cache && !this.privateMode ? (options.cache || 'default') : 'no-store';
+    const normalized = this._normalizeParams(params);
+    const cacheKey = this._createCacheKey('/search', normalized);
+
+    this._throwIfAborted(options.signal);
+
+    if (cacheMode === 'default') {
+      const cached = await this.cache.get(cacheKey);
+      this._throwIfAborted(options.signal);
+      if (cached) {
+        // stale-while-revalidate: 古いデータを即座に返し、裏で再取得する
+        if (cached.isStale) {
+          const onRevalidate = options.onRevalidate &&
+            (data => options.onRevalidate(this._normalizeResponse(data, normalized)));
+          this._revalidate(cacheKey, params, normalized, onRevalidate);
+        }
+        return this._normalizeResponse(cached.data, normalized);
+      }
+    }
+
+    // 同時に発生した同一リクエストは1回のHTTPリクエストにまとめる
+    // (プライベートモードのリクエストは no-store で取得するため、通常のリクエストとは共有しない)
+    const { data, offline } = await this._shareRequest(
+      this.privateMode ? `private:${cacheKey}` : cacheKey,
+      sharedSignal => this._fetchSearch(params, sharedSignal),
+      options.signal
+    );
+
+    // オフライン時の保存済みレスポンスは古い可能性があるためキャッシュしない
+    if (!offline && cacheMode !== 'no-store') {
+      await this.cache.set(cacheKey, data, normalized);
+    }
+    return this._normalizeResponse(data, normalized, offline);
+  }
+
+  /**
+   * /searchを取得
+   * @private
+   * @param {Object} params - リクエストパラメータ
+   * @param {AbortSignal} [signal] - 中断シグナル
+   * @returns {Promise<{data: *, offline: boolean}>} レスポンスデータと、オフライン時の保存済みレスポンスかどうか
+   */
+  async _fetchSearch(params, signal) {
+    const meta = {};
+    const data = await this._request('/search', params, { signal, meta });
+    return { data, offline: Boolean(meta.offline) };
+  }
+
+  /**
+   * レスポンスを正規化(キャッシュには生のレスポンスを保存する)
+   * @private
+   * @param {*} data - APIレスポンス
+   * @param {Object} params - 正規化済みリクエストパラメータ
+   * @param {boolean} [offline=false] - オフライン時の保存済みレスポンスかどうか
+   * @returns {Object} 正規化済みレスポンス(正規化無効時はそのまま)
+   */
+  _normalizeResponse(data, params, offline = false) {
+    if (!this.normalize) return data;
+    return { ...this.normalizer.normalize(params.type, data, params), offline };
+  }
+
+  /**
+   * 結果を組み立て直すメソッド(searchAll・paginate)用に、正規化が無効でも正規化済みのレスポンスにする
+   * @private
+   * @param {*} response - search() の戻り値
+   * @param {Object} params - リクエストパラメータ
+   * @returns {Object} 正規化済みレスポンス
+   */
+  _ensureNormalized(response, params) {
+    if (this.normalize) return response;
+    const normalized = this._normalizeParams(params);
+    return this.normalizer.normalize(normalized.type, response, normalized);
+  }
+
+  /**
+   * 同一キーの実行中リクエストを共有する
+   * 各呼び出し元は自分のsignalで個別に離脱でき、全員が離脱したときだけ実リクエストを中断する
+   * @private
+   * @param {string} key - リクエストキー(エンドポイント + 正規化済みパラメータ)
+   * @param {function(AbortSignal): Promise<*>} factory - 実リクエストを開始する関数
+   * @param {AbortSignal} [signal] - 呼び出し元の中断シグナル
+   * @returns {Promise<*>} レスポンスデータ
+   * @throws {WholphinAPIAbortError} 呼び出し元が中断した場合
+   */
+  _shareRequest(key, factory, signal) {
+    this._throwIfAborted(signal);
+
+    let shared = this._inFlight.get(key);
+    if (!shared) {
+      const controller = new AbortController();
+      shared = { controller, consumers: 0, promise: null };
+      const current = shared;
+      shared.promise = factory(controller.signal).finally(() => {
+        if (this._inFlight.get(key) === current) {
+          this._inFlight.delete(key);
+        }
+      });
+      this._inFlight.set(key, shared);
+    }
+
+    shared.consumers++;
+
+    return new Promise((resolve, reject) => {
+      let settled = false;
+
+      const leave = () => {
+        settled = true;
+        shared.consumers--;
+        if (signal) signal.removeEventListener('abort', onAbort);
+      };
+
+      const onAbort = () => {
+        if (settled) return;
+        leave();
+        reject(new WholphinAPIAbortError(undefined, signal.reason));
+
+        // 最後の呼び出し元が離脱したら実リクエストも中断
+        if (shared.consumers === 0) {
+          if (this._inFlight.get(key) === shared) {
+            this._inFlight.delete(key);
+          }
+          shared.controller.abort();
+        }
+      };
+
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+      shared.promise.then(
+        data => {
+          if (settled) return;
+          leave();
+          resolve(data);
+        },
+        error => {
+          if (settled) return;
+          leave();
+          reject(error);
+        }
+      );
+    });
+  }
+
+  /**
+   * バックグラウンドでキャッシュを再取得
+   * @private
+   * @param {string} cacheKey - キャッシュキー
+   * @param {Object} params - リクエストパラメータ
+   * @param {Object} normalized - 正規化済みパラメータ
+   * @param {function(Object): void} [onRevalidate] - 再取得完了時のコールバック
+   */
+  async _revalidate(cacheKey, params, normalized, onRevalidate) {
+    if (this._revalidating.has(cacheKey)) return;
+    this._revalidating.add(cacheKey);
+
+    try {
+      const { data, offline } = await this._shareRequest(
+        cacheKey,
+        sharedSignal => this._fetchSearch(params, sharedSignal)
+      );
+      if (offline || this.privateMode) return;
+      await this.cache.set(cacheKey, data, normalized);
+      if (onRevalidate) onRevalidate(data);
+    } catch (error) {
+      // 古いデータは既に返しているため、再取得の失敗は握りつぶす
+      console.warn('Cache revalidation failed:', error);
+    } finally {
+      this._revalidating.delete(cacheKey);
+    }
+  }
+
+  /**
+   * 条件に一致するキャッシュを破棄
+   * @param {Object|function(Object, Object): boolean} [filter={}] - 検索パラメータの部分一致オブジェクト
+   *   (例: { q: 'cats' }, { type: 'news' })、または判定関数
+   * @returns {Promise<number>} 破棄したエントリ数
+   */
+  async invalidate(filter = {}) {
+    if (!this.cache) return 0;
+
+    if (typeof filter === 'object' && typeof filter.q === 'string') {
+      filter = { ...filter, q: filter.q.trim() };
+    }
+    return await this.cache.invalidate(filter);
+  }
+
+  /**
+   * すべてのキャッシュを破棄
+   * @returns {Promise<void>}
+   */
+  async clearCache() {
+    if (this.cache) {
+      await this.cache.clear();
+    }
+  }
+
+  /**
+   * すべてのキャッシュを破棄(clearCache() の別名)
+   * @returns {Promise<void>}
+   */
+  clear() {
+    return this.clearCache();
+  }
+
+  /**
+   * 統合検索(Web・画像・動画・ニュース・パネルを並列に取得して1ページにまとめる)
+   * 一部のタイプが失敗しても、Web以外の結果は欠けたまま返す
+   * 2ページ目以降はWeb結果のみ
+   * クライアントの normalize が false でも、結果は正規化して返す
+   * @param {string} query - 検索ワード
+   * @param {Object} [options] - 追加オプション(searchと同じ。typeは無視される)
+   * @param {number} [options.page=1] - ページ番号
+   * @param {number} [options.safesearch=0] - セーフサーチレベル
+   * @param {string} [options.lang='ja'] - 言語コード
+   * @param {AbortSignal} [options.signal] - 中断シグナル
+   * @returns {Promise<Object>} 統合結果
+   *   { query, type: 'all', page, results, blended, panel, images, videos, news, totalPages, errors, partial, offline }
+   *   (results はWeb結果のみ、blended はカルーセルを差し込んだ表示順)
+   * @throws {WholphinAPIError} Web検索が失敗した場合
+   * @throws {WholphinAPIAbortError} 中断された場合
+   */
+  async searchAll(query, options = {}) {
+    const page = options.page || DEFAULT_SEARCH_PARAMS.page;
+    const types = page === 1
+      ? [SearchType.WEB, SearchType.IMAGE, SearchType.VIDEO, SearchType.NEWS, SearchType.PANEL]
+      : [SearchType.WEB];
+
+    const paramsOf = type => ({ q: query, type, page: type === SearchType.WEB ? page : undefined });
+    const settled = await Promise.allSettled(types.map(type => this.search({
+      ...options,
+      ...paramsOf(type),
+      onRevalidate: undefined
+    })));
+
+    const responses = {};
+    const errors = {};
+    settled.forEach((outcome, index) => {
+      if (outcome.status === 'fulfilled') {
+        responses[types[index]] = this._ensureNormalized(outcome.value, paramsOf(types[index]));
+      } else {
+        errors[types[index]] = outcome.reason;
+      }
+    });
+
+    const abortError = Object.values(errors).find(error => error instanceof WholphinAPIAbortError);
+    if (abortError) throw abortError;
+    if (errors[SearchType.WEB]) throw errors[SearchType.WEB];
+
+    const resultsOf = type => (responses[type] ? responses[type].results : []);
+    const web = responses[SearchType.WEB];
+
+    return {
+      query: web.query,
+      type: SearchType.ALL,
+      page,
+      results: web.results,
+      blended: this._blendResults(web.results, {
+        image: resultsOf(SearchType.IMAGE),
+        video: resultsOf(SearchType.VIDEO),
+        news: resultsOf(SearchType.NEWS)
+      }),
+      panel: responses[SearchType.PANEL] ? responses[SearchType.PANEL].panel : null,
+      images: resultsOf(SearchType.IMAGE),
+      videos: resultsOf(SearchType.VIDEO),
+      news: resultsOf(SearchType.NEWS),
+      totalPages: web.totalPages,
+      errors,
+      partial: Object.keys(errors).length > 0,
+      offline: Object.values(responses).some(response => response.offline)
+    };
+  }
+
+  /**
+   * 検索結果をページ順に取得する非同期イテレーター
+   * 結果が空になったとき、既出の結果しか返らなくなったとき、最終ページに達したときに終了する
+   * ページをまたいで同じURLの結果は除外する
+   *
+   * @example
+   * for await (const { page, results } of api.paginate('cats', { maxResults: 50 })) {
+   *   render(results);
+   * }
+   *
+   * @param {string} query - 検索ワード
+   * @param {Object} [options] - 追加オプション(searchと同じ)
+   * @param {string} [options.type='web'] - 検索タイプ(suggest・panelは不可)
+   * @param {number} [options.startPage=1] - 開始ページ
+   * @param {number} [options.maxResults=Infinity] - 取得する結果の上限数
+   * @param {Iterable<string>} [options.seenUrls] - 表示済みとして除外する結果のURL(別に取得した前のページなど)
+   * @param {AbortSignal} [options.signal] - 中断シグナル
+   * @yields {{page: number, results: SearchResult[], totalPages: number|null}} ページごとの新しい結果
+   * @throws {WholphinAPIError} APIエラー・バリデーションエラー
+   * @throws {WholphinAPIAbortError} 中断された場合
+   */
+  async *paginate(query, options = {}) {
+    const { startPage = VALIDATION.PAGE_MIN, maxResults = Infinity, seenUrls: seen = [], ...searchOptions } = options;
+
+    if ([SearchType.SUGGEST, SearchType.PANEL].includes(searchOptions.type)) {
+      throw new WholphinAPIError(
+        'Validation failed',
+        null,
+        { errors: [`Type ${searchOptions.type} cannot be paginated`] }
+      );
+    }
+
+    const seenUrls = new Set(seen);
+    let count = 0;
+
+    for (let page = startPage; page <= VALIDATION.PAGE_MAX && count < maxResults; page++) {
+      const response = this._ensureNormalized(
+        await this.search({ ...searchOptions, q: query, page, onRevalidate: undefined }),
+        { q: query, type: searchOptions.type, page }
+      );
+      const fresh = response.results.filter(result => {
+        if (seenUrls.has(result.url)) return false;
+        seenUrls.add(result.url);
+        return true;
+      });
+
+      // 結果が尽きた、または同じ結果の繰り返しになった
+      if (fresh.length === 0) return;
+
+      const results = fresh.slice(0, maxResults - count);
+      count += results.length;
+      yield { page, results, totalPages: response.totalPages };
+
+      if (response.totalPages && page >= response.totalPages) return;
+    }
+  }
+
+  /**
+   * Web結果の間にカルーセルを差し込む
+   * @private
+   * @param {SearchResult[]} webResults - Web結果
+   * @param {Object<string, SearchResult[]>} verticals - タイプ別の結果
+   * @returns {Array<SearchResult|ResultCarousel>} 表示順の結果
+   */
+  _blendResults(webResults, verticals) {
+    const carousels = Object.entries(BLEND_POSITIONS)
+      .filter(([type]) => verticals[type] && verticals[type].length > 0)
+      .sort(([, a], [, b]) => a - b);
+
+    const blended = [];
+    let next = 0;
+    webResults.forEach((result, index) => {
+      blended.push(result);
+      while (next < carousels.length && carousels[next][1] === index + 1) {
+        const [type] = carousels[next++];
+        blended.push(new ResultCarousel(type, verticals[type]));
+      }
+    });
+
+    // Web結果が少ない場合は残りを末尾に追加
+    carousels.slice(next).forEach(([type]) => {
+      blended.push(new ResultCarousel(type, verticals[type]));
+    });
+    return blended;
   }
 
   /**
@@ -398,6 +2186,7 @@ class WholphinAPI {
    * @param {number} [options.page=1] - ページ番号
    * @param {number} [options.safesearch=0] - セーフサーチレベル
    * @param {string} [options.lang='ja'] - 言語コード
+   * @param {AbortSignal} [options.signal] - 中断シグナル
    * @returns {Promise<Object>} 検索結果
    */
   async searchWeb(query, options = {}) {
@@ -415,6 +2204,7 @@ class WholphinAPI {
    * @param {number} [options.page=1] - ページ番号
    * @param {number} [options.safesearch=0] - セーフサーチレベル
    * @param {string} [options.lang='ja'] - 言語コード
+   * @param {AbortSignal} [options.signal] - 中断シグナル
    * @returns {Promise<Object>} 検索結果
    */
   async searchImages(query, options = {}) {
@@ -432,6 +2222,7 @@ class WholphinAPI {
    * @param {number} [options.page=1] - ページ番号
    * @param {number} [options.safesearch=0] - セーフサーチレベル
    * @param {string} [options.lang='ja'] - 言語コード
+   * @param {AbortSignal} [options.signal] - 中断シグナル
    * @returns {Promise<Object>} 検索結果
    */
   async searchVideos(query, options = {}) {
@@ -449,6 +2240,7 @@ class WholphinAPI {
    * @param {number} [options.page=1] - ページ番号
    * @param {number} [options.safesearch=0] - セーフサーチレベル
    * @param {string} [options.lang='ja'] - 言語コード
+   * @param {AbortSignal} [options.signal] - 中断シグナル
    * @returns {Promise<Object>} 検索結果
    */
   async searchNews(query, options = {}) {
@@ -464,6 +2256,7 @@ class WholphinAPI {
    * @param {string} query - 検索ワード
    * @param {Object} [options] - 追加オプション
    * @param {string} [options.lang='ja'] - 言語コード
+   * @param {AbortSignal} [options.signal] - 中断シグナル
    * @returns {Promise<Object>} サジェスト結果
    */
   async getSuggestions(query, options = {}) {
@@ -479,6 +2272,7 @@ class WholphinAPI {
    * @param {string} query - 検索ワード
    * @param {Object} [options] - 追加オプション
    * @param {string} [options.lang='ja'] - 言語コード
+   * @param {AbortSignal} [options.signal] - 中断シグナル
    * @returns {Promise<Object>} パネル情報
    */
   async getPanel(query, options = {}) {
@@ -496,6 +2290,22 @@ if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     WholphinAPI,
     WholphinAPIError,
+    WholphinAPIAbortError,
+    LatestRequest,
+    SearchResult,
+    WebResult,
+    ImageResult,
+    VideoResult,
+    NewsItem,
+    Suggestion,
+    KnowledgePanel,
+    ResultCarousel,
+    ResultNormalizer,
+    ResponseCache,
+    TokenBucket,
+    MemoryCacheStore,
+    LocalStorageCacheStore,
+    IndexedDBCacheStore,
     SearchType,
     SafeSearchLevel,
     Language
@@ -504,6 +2314,22 @@ if (typeof module !== 'undefined' && module.exports) {
   // ブラウザ環境
   window.WholphinAPI = WholphinAPI;
   window.WholphinAPIError = WholphinAPIError;
+  window.WholphinAPIAbortError = WholphinAPIAbortError;
+  window.LatestRequest = LatestRequest;
+  window.SearchResult = SearchResult;
+  window.WebResult = WebResult;
+  window.ImageResult = ImageResult;
+  window.VideoResult = VideoResult;
+  window.NewsItem = NewsItem;
+  window.Suggestion = Suggestion;
+  window.KnowledgePanel = KnowledgePanel;
+  window.ResultCarousel = ResultCarousel;
+  window.ResultNormalizer = ResultNormalizer;
+  window.ResponseCache = ResponseCache;
+  window.TokenBucket = TokenBucket;
+  window.MemoryCacheStore = MemoryCacheStore;
+  window.LocalStorageCacheStore = LocalStorageCacheStore;
+  window.IndexedDBCacheStore = IndexedDBCacheStore;
   window.SearchType = SearchType;
   window.SafeSearchLevel = SafeSearchLevel;
   window.Language = Language;
@@ -0,0 +1,191 @@
+/**
+ * !bang ショートカット
+ * 検索前にクエリ中の !bang を解釈し、検索条件の上書き(タイプ・言語・セーフサーチ)
+ * または外部サイトへのリダイレクトに変換する
+ * ユーザー定義のbangは他の設定と一緒に AppSettings の customBangs に保存する
+ */
+
+const LEGACY_CUSTOM_BANGS_KEY = 'wholphin_custom_bangs';
+
+/**
+ * 組み込みのbang
+ * url の {query} は検索ワード(URLエンコード済み)、{lang} は言語コードに置き換える
+ * @readonly
+ */
+const BUILTIN_BANGS = [
+  { trigger: 'a', name: 'すべて', type: 'all' },
+  { trigger: 'i', name: '画像', type: 'image' },
+  { trigger: 'v', name: '動画', type: 'video' },
+  { trigger: 'n', name: 'ニュース', type: 'news' },
+  { trigger: 'ja', name: '日本語で検索', lang: 'ja' },
+  { trigger: 'en', name: '英語で検索', lang: 'en' },
+  { trigger: 'safe', name: 'セーフサーチ(厳格)', safesearch: 2 },
+  { trigger: 'w', name: 'Wikipedia', url: 'https://{lang}.wikipedia.org/wiki/Special:Search?search={query}' },
+  { trigger: 'gh', name: 'GitHub', url: 'https://github.com/search?q={query}' },
+  { trigger: 'yt', name: 'YouTube', url: 'https://www.youtube.com/results?search_query={query}' },
+  { trigger: 'mdn', name: 'MDN', url: 'https://developer.mozilla.org/{lang}/search?q={query}' }
+];
+
+const BANG_TRIGGER_PATTERN = /^[a-z0-9_-]+$/;
+
+/**
+ * 上書きできる検索タイプ(結果一覧を持つもの)
+ * @readonly
+ */
+const BANG_TYPES = [SearchType.ALL, SearchType.WEB, SearchType.IMAGE, SearchType.VIDEO, SearchType.NEWS];
+
+/**
+ * bangの登録と解釈
+ */
+class BangRegistry {
+  /**
+   * @param {AppSettings} [settings] - ユーザー定義bangの保存先
+   */
+  constructor(settings = new AppSettings()) {
+    this.settings = settings;
+    this.settings.migrate('customBangs', LEGACY_CUSTOM_BANGS_KEY, JSON.parse);
+    this.builtins = new Map(BUILTIN_BANGS.map(bang => [bang.trigger, { ...bang, builtin: true }]));
+  }
+
+  /**
+   * ユーザー定義bangを取得
+   * @returns {Object[]}
+   */
+  getCustom() {
+    const custom = this.settings.get('customBangs', []);
+    return Array.isArray(custom) ? custom : [];
+  }
+
+  /**
+   * 組み込みとユーザー定義を合わせたbang一覧(同じトリガーはユーザー定義を優先)
+   * @returns {Object[]}
+   */
+  getAll() {
+    const bangs = new Map(this.builtins);
+    this.getCustom().forEach(bang => bangs.set(bang.trigger, { ...bang, builtin: false }));
+    return Array.from(bangs.values());
+  }
+
+  /**
+   * トリガーに対応するbangを取得
+   * @param {string} trigger - ! を除いたトリガー
+   * @returns {Object|undefined}
+   */
+  get(trigger) {
+    return this.getAll().find(bang => bang.trigger === trigger.toLowerCase());
+  }
+
+  /**
+   * ユーザー定義bangを追加(同じトリガーは上書き)
+   * @param {Object} bang - bang定義
+   * @param {string} bang.trigger - ! を除いたトリガー
+   * @param {string} bang.name - 表示名
+   * @param {string} [bang.url] - リダイレクト先のURLテンプレート
+   * @param {string} [bang.type] - 検索タイプの上書き
+   * @param {string} [bang.lang] - 言語の上書き
+   * @param {number} [bang.safesearch] - セーフサーチの上書き
+   * @throws {Error} 不正な定義
+   */
+  add(bang) {
+    const trigger = String(bang.trigger || '').replace(/^!/, '').toLowerCase();
+    if (!BANG_TRIGGER_PATTERN.test(trigger)) {
+      throw new Error('Bang trigger may only contain a-z, 0-9, _ and -');
+    }
+    if (bang.url && !/^https?:\/\//.test(bang.url)) {
+      throw new Error('Bang URL must use HTTP or HTTPS protocol');
+    }
+    if (!bang.url && bang.type === undefined && bang.lang === undefined && bang.safesearch === undefined) {
+      throw new Error('Bang must define a url or at least one of type, lang, safesearch');
+    }
+    // 不正な上書きはAPIのバリデーションエラーになる前にここで弾く
+    if (bang.type !== undefined && !BANG_TYPES.includes(bang.type)) {
+      throw new Error(`Bang type must be one of: ${BANG_TYPES.join(', ')}`);
+    }
+    if (bang.lang !== undefined && !VALIDATION.ALLOWED_LANGUAGES.includes(bang.lang)) {
+      throw new Error(`Bang lang must be one of: ${VALIDATION.ALLOWED_LANGUAGES.join(', ')}`);
+    }
+    if (bang.safesearch !== undefined && (!Number.isInteger(bang.safesearch) ||
+        bang.safesearch < VALIDATION.SAFESEARCH_MIN || bang.safesearch > VALIDATION.SAFESEARCH_MAX)) {
+      throw new Error(`Bang safesearch must be an integer between ${VALIDATION.SAFESEARCH_MIN} and ${VALIDATION.SAFESEARCH_MAX}`);
+    }
+
+    const custom = this.getCustom().filter(existing => existing.trigger !== trigger);
+    custom.push({
+      trigger,
+      name: bang.name || trigger,
+      url: bang.url,
+      type: bang.type,
+      lang: bang.lang,
+      safesearch: bang.safesearch
+    });
+    this.settings.set('customBangs', custom);
+  }
+
+  /**
+   * ユーザー定義bangを削除
+   * @param {string} trigger - ! を除いたトリガー
+   */
+  remove(trigger) {
+    const custom = this.getCustom().filter(bang => bang.trigger !== trigger.toLowerCase());
+    this.settings.set('customBangs', custom);
+  }
+
+  /**
+   * クエリ中のbangを解釈(最初に見つかった既知のbangのみ使う)
+   * @param {string} query - 入力されたクエリ
+   * @param {Object} [context] - URLテンプレート用の値
+   * @param {string} [context.lang='ja'] - 現在の言語
+   * @returns {{bang: Object, query: string, redirectUrl: string|null, overrides: Object}|null}
+   *   bangがなければnull(検索ワードのないリダイレクトbangは redirectUrl を null にする)
+   */
+  resolve(query, context = {}) {
+    const words = query.trim().split(/\s+/);
+    const index = words.findIndex(word => word.length > 1 && word.startsWith('!') && this.get(word.slice(1)));
+    if (index === -1) return null;
+
+    const bang = this.get(words[index].slice(1));
+    const rest = words.filter((_, i) => i !== index).join(' ');
+    const lang = bang.lang || context.lang || 'ja';
+
+    const overrides = {};
+    ['type', 'lang', 'safesearch'].forEach(key => {
+      if (bang[key] !== undefined) overrides[key] = bang[key];
+    });
+
+    return {
+      bang,
+      query: rest,
+      redirectUrl: bang.url && rest
+        ? bang.url.replace(/\{query\}/g, encodeURIComponent(rest)).replace(/\{lang\}/g, lang)
+        : null,
+      overrides
+    };
+  }
+
+  /**
+   * 入力中のbangを補完
+   * @param {string} query - 入力中のクエリ(最後の語が ! で始まるときのみ補完する)
+   * @param {number} [limit=8] - 最大件数
+   * @returns {Array<{bang: Object, query: string}>} 補完候補と、補完後のクエリ
+   */
+  complete(query, limit = 8) {
+    const match = query.match(/(^|\s)!([^\s]*)$/);
+    if (!match) return [];
+
+    const prefix = match[2].toLowerCase();
+    const head = query.slice(0, query.length - prefix.length - 1);
+
+    return this.getAll()
+      .filter(bang => bang.trigger.startsWith(prefix))
+      .sort((a, b) => a.trigger.length - b.trigger.length || a.trigger.localeCompare(b.trigger))
+      .slice(0, limit)
+      .map(bang => ({ bang, query: `${head}!${bang.trigger}` }));
+  }
+}
+
+// エクスポート
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { BangRegistry, BUILTIN_BANGS };
+} else if (typeof window !== 'undefined') {
+  window.BangRegistry = BangRegistry;
+}
@@ -0,0 +1,141 @@
+/**
+ * コマンドパレット
+ * アプリのコマンドと、プロバイダー(開いているタブ・検索履歴・bang など)が返す候補を
+ * まとめてあいまい検索し、選ばれた項目を実行する。
+ * 新しい機能は register() でコマンドを、registerProvider() で動的な候補を追加できる。
+ */
+
+const COMMAND_PALETTE_LIMIT = 20;
+
+/**
+ * パレットの項目
+ * @typedef {Object} PaletteItem
+ * @property {string} id - 一意なID
+ * @property {string} title - 表示名(検索対象)
+ * @property {string} [group] - 分類(表示用)
+ * @property {string} [hint] - 補足(表示用)
+ * @property {string[]} [keywords] - 検索対象に含める別名
+ * @property {string} [shortcut] - 対応するキーマップのコマンド名
+ * @property {function(): boolean} [when] - 表示する条件(省略時は常に表示)
+ * @property {function(): void} run - 実行する処理
+ */
+
+/**
+ * コマンドと候補の登録・検索・実行
+ */
+class CommandPalette {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.limit=COMMAND_PALETTE_LIMIT] - 検索結果の最大件数
+   */
+  constructor(options = {}) {
+    this.limit = options.limit || COMMAND_PALETTE_LIMIT;
+    this.commands = new Map();
+    this.providers = new Map();
+  }
+
+  /**
+   * コマンドを登録(同じIDは置き換える)
+   * @param {PaletteItem|PaletteItem[]} commands
+   * @returns {function(): void} 登録解除関数
+   */
+  register(commands) {
+    const list = Array.isArray(commands) ? commands : [commands];
+    list.forEach(command => {
+      if (!command.id || !command.title || typeof command.run !== 'function') {
+        throw new Error('Palette command needs an id, a title and a run function');
+      }
+      this.commands.set(command.id, command);
+    });
+    return () => list.forEach(command => this.unregister(command.id));
+  }
+
+  /**
+   * @param {string} id - コマンドのID
+   */
+  unregister(id) {
+    this.commands.delete(id);
+  }
+
+  /**
+   * 動的な候補のプロバイダーを登録(同じ名前は置き換える)
+   * @param {string} name - プロバイダー名
+   * @param {function(string): PaletteItem[]} provider - 入力中の文字列から候補を返す
+   * @param {Object} [options]
+   * @param {string} [options.group] - 候補の分類(項目に group がなければ使う)
+   * @param {number} [options.weight=0.8] - コマンド(1)に対する並び順の重み
+   * @returns {function(): void} 登録解除関数
+   */
+  registerProvider(name, provider, options = {}) {
+    this.providers.set(name, {
+      provider,
+      group: options.group || '',
+      weight: options.weight !== undefined ? options.weight : 0.8
+    });
+    return () => this.providers.delete(name);
+  }
+
+  /**
+   * コマンドと候補をあいまい検索
+   * 入力が空なら登録順(コマンドが先)に返す
+   * @param {string} query - 入力中の文字列
+   * @returns {Array<PaletteItem & {score: number}>} スコア順の項目
+   */
+  search(query) {
+    const needle = SuggestionEngine.normalize(query);
+    const candidates = [];
+
+    this.commands.forEach(command => {
+      if (command.when && !command.when()) return;
+      candidates.push({ item: command, weight: 1 });
+    });
+    this.providers.forEach(({ provider, group, weight }, name) => {
+      let items;
+      try {
+        items = provider(query) || [];
+      } catch (error) {
+        console.warn(`Command palette provider "${name}" failed:`, error);
+        return;
+      }
+      items.forEach(item => candidates.push({ item: { group, ...item }, weight }));
+    });
+
+    return candidates
+      .map(({ item, weight }, order) => {
+        const match = needle ? CommandPalette.match(needle, item) : 'prefix';
+        if (!match) return null;
+        return { ...item, score: SUGGESTION_MATCH_WEIGHTS[match] * weight, order };
+      })
+      .filter(Boolean)
+      .sort((a, b) => b.score - a.score || a.order - b.order)
+      .slice(0, this.limit)
+      .map(({ order, ...item }) => item);
+  }
+
+  /**
+   * 項目を実行
+   * @param {PaletteItem} item
+   */
+  execute(item) {
+    item.run();
+  }
+
+  /**
+   * 表示名と別名のうち、いちばん強い一致の種類
+   * @param {string} needle - 正規化済みの入力
+   * @param {PaletteItem} item
+   * @returns {'prefix'|'word'|'fuzzy'|null}
+   */
+  static match(needle, item) {
+    const texts = [item.title, ...(item.keywords || [])];
+    const kinds = texts.map(text => SuggestionEngine.match(needle, SuggestionEngine.normalize(text)));
+    return ['prefix', 'word', 'fuzzy'].find(kind => kinds.includes(kind)) || null;
+  }
+}
+
+// エクスポート
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { CommandPalette };
+} else if (typeof window !== 'undefined') {
+  window.CommandPalette = CommandPalette;
+}
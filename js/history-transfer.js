@@ -0,0 +1,448 @@
+/**
+ * 検索履歴のエクスポート/インポート
+ * JSON・CSV・ブラウザのブックマークHTML(Netscape形式)に対応する。
+ * 開いた結果(clicks)は各検索にあわせて、コレクションに保存した結果(ResultCollections)は
+ * JSONとブックマークHTMLに書き出す(CSVは1行1検索のため履歴のみ)。
+ * 読み込むのはJSONのコレクションだけで、ブックマークHTMLのコレクションは検索とみなさない。
+ */
+
+const HISTORY_EXPORT_FORMAT = 'wholphin-history';
+const HISTORY_EXPORT_VERSION = 1;
+const HISTORY_CSV_COLUMNS = ['query', 'type', 'lang', 'count', 'firstSeen', 'lastSeen', 'clicks'];
+const HISTORY_TYPES = ['all', 'web', 'image', 'video', 'news'];
+const HISTORY_MAX_QUERY_LENGTH = 500;
+
+/**
+ * 形式ごとのMIMEタイプと拡張子
+ * @readonly
+ */
+const HISTORY_FILE_FORMATS = {
+  json: { mimeType: 'application/json', extension: 'json' },
+  csv: { mimeType: 'text/csv', extension: 'csv' },
+  html: { mimeType: 'text/html', extension: 'html' }
+};
+
+/**
+ * 検索履歴の書き出しと読み込み
+ */
+class HistoryTransfer {
+  /**
+   * 履歴を書き出す
+   * @param {Object[]} entries - SearchHistory.getAll() のエントリ
+   * @param {'json'|'csv'|'html'} format - 出力形式
+   * @param {Object} [options]
+   * @param {string} [options.baseUrl] - ブックマークHTMLで検索を開くURL
+   * @param {Object[]} [options.collections=[]] - ResultCollections.getAll() のコレクション
+   * @returns {{content: string, mimeType: string, filename: string}}
+   * @throws {Error} 未対応の形式
+   */
+  static export(entries, format, options = {}) {
+    const fileFormat = HISTORY_FILE_FORMATS[format];
+    if (!fileFormat) {
+      throw new Error(`Unsupported history format: ${format}`);
+    }
+
+    const records = entries.map(HistoryTransfer._toRecord);
+    const collections = (options.collections || []).map(HistoryTransfer._toCollectionRecord);
+    let content;
+    if (format === 'json') {
+      content = JSON.stringify({
+        format: HISTORY_EXPORT_FORMAT,
+        version: HISTORY_EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        entries: records,
+        collections
+      }, null, 2);
+    } else if (format === 'csv') {
+      content = HistoryTransfer._toCSV(records);
+    } else {
+      content = HistoryTransfer._toBookmarks(records, collections, options.baseUrl || location.origin + location.pathname);
+    }
+
+    const date = new Date().toISOString().slice(0, 10);
+    return {
+      content,
+      mimeType: fileFormat.mimeType,
+      filename: `wholphin-history-${date}.${fileFormat.extension}`
+    };
+  }
+
+  /**
+   * 書き出したファイルを読み込む(形式は内容から判別する)
+   * 不正な行はスキップしてerrorsに記録する
+   * @param {string} text - ファイルの内容
+   * @param {Object} [options]
+   * @param {string} [options.baseUrl] - このアプリのURL(ブックマークHTMLではこのURLへのリンクだけを検索とみなす。
+   *   省略時は現在のページ)
+   * @returns {{entries: Object[], collections: Object[], errors: Array<{item: number|null, message: string}>}}
+   *   collections はJSONに含まれていた保存済みの結果(不正なコレクションは item: null のエラーになる)
+   * @throws {Error} 形式を判別できない場合
+   */
+  static parse(text, options = {}) {
+    const trimmed = String(text || '').replace(/^\uFEFF/, '').trim();
+    let raw;
+    let rawCollections = [];
+    if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+      ({ entries: raw, collections: rawCollections } = HistoryTransfer._fromJSON(trimmed));
+    } else if (/^<!DOCTYPE NETSCAPE-Bookmark-file-1>/i.test(trimmed) || /^<(html|dl)/i.test(trimmed)) {
+      raw = HistoryTransfer._fromBookmarks(trimmed, options.baseUrl || location.origin + location.pathname);
+    } else if (trimmed.toLowerCase().startsWith('query,')) {
+      raw = HistoryTransfer._fromCSV(trimmed);
+    } else {
+      throw new Error('履歴ファイルの形式を判別できません');
+    }
+
+    const entries = [];
+    const errors = [];
+    raw.forEach((item, index) => {
+      const message = HistoryTransfer._validate(item);
+      if (message) {
+        errors.push({ item: index + 1, message });
+      } else {
+        entries.push(HistoryTransfer._sanitize(item));
+      }
+    });
+
+    const collections = [];
+    rawCollections.forEach((collection, index) => {
+      if (!collection || typeof collection.name !== 'string' || !collection.name.trim() || !Array.isArray(collection.items)) {
+        errors.push({ item: null, message: `保存した結果の${index + 1}件目のコレクションが不正です` });
+        return;
+      }
+      collections.push({
+        name: collection.name.trim(),
+        items: collection.items
+          .filter(item => item && /^https?:\/\//i.test(item.url))
+          .map(item => ({
+            title: String(item.title || item.url),
+            url: item.url,
+            domain: item.domain || null,
+            type: HISTORY_TYPES.includes(item.type) ? item.type : 'web',
+            snippet: item.snippet || null
+          }))
+      });
+    });
+    return { entries, collections, errors };
+  }
+
+  /**
+   * 書き出し用のレコードに変換
+   * @private
+   */
+  static _toRecord(entry) {
+    return {
+      query: entry.query,
+      type: entry.type,
+      lang: entry.lang || null,
+      count: entry.count || 1,
+      firstSeen: new Date(entry.firstSeen).toISOString(),
+      lastSeen: new Date(entry.lastSeen).toISOString(),
+      clicks: (entry.clicks || []).map(click => ({
+        url: click.url,
+        title: click.title || '',
+        timestamp: new Date(click.timestamp).toISOString()
+      }))
+    };
+  }
+
+  /**
+   * コレクションを書き出し用のレコードに変換
+   * @private
+   */
+  static _toCollectionRecord(collection) {
+    return {
+      name: collection.name,
+      createdAt: new Date(collection.createdAt || Date.now()).toISOString(),
+      items: (collection.items || []).map(item => ({
+        title: item.title || '',
+        url: item.url,
+        domain: item.domain || null,
+        type: item.type || 'web',
+        snippet: item.snippet || null,
+        savedAt: new Date(item.savedAt || Date.now()).toISOString()
+      }))
+    };
+  }
+
+  /**
+   * エントリを検証
+   * @private
+   * @returns {string|null} エラーメッセージ(問題なければnull)
+   */
+  static _validate(item) {
+    if (!item || typeof item.query !== 'string' || !item.query.trim()) {
+      return 'クエリがありません';
+    }
+    if (item.query.length > HISTORY_MAX_QUERY_LENGTH) {
+      return 'クエリが長すぎます';
+    }
+    if (!HISTORY_TYPES.includes(item.type)) {
+      return `不明な検索タイプです: ${item.type}`;
+    }
+    const count = Number(item.count);
+    if (!Number.isInteger(count) || count < 1) {
+      return `回数が不正です: ${item.count}`;
+    }
+    if (Number.isNaN(Date.parse(item.firstSeen)) || Number.isNaN(Date.parse(item.lastSeen))) {
+      return '日時が不正です';
+    }
+    return null;
+  }
+
+  /**
+   * 検証済みの値を SearchHistory のエントリ形式に揃える
+   * http(s) 以外の結果URLは取り除く
+   * @private
+   */
+  static _sanitize(item) {
+    const firstSeen = Date.parse(item.firstSeen);
+    const lastSeen = Date.parse(item.lastSeen);
+    return {
+      query: item.query.trim(),
+      type: item.type,
+      lang: item.lang || null,
+      count: Number(item.count),
+      firstSeen: Math.min(firstSeen, lastSeen),
+      lastSeen: Math.max(firstSeen, lastSeen),
+      clicks: (Array.isArray(item.clicks) ? item.clicks : [])
+        .filter(click => click && /^https?:\/\//i.test(click.url))
+        .map(click => ({
+          url: click.url,
+          title: String(click.title || ''),
+          timestamp: Date.parse(click.timestamp) || lastSeen
+        }))
+    };
+  }
+
+  /**
+   * @private
+   */
+  static _fromJSON(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`JSONを解析できません: ${error.message}`);
+    }
+    const entries = Array.isArray(data) ? data : data.entries;
+    if (!Array.isArray(entries)) {
+      throw new Error('JSONに履歴エントリがありません');
+    }
+    return { entries, collections: Array.isArray(data.collections) ? data.collections : [] };
+  }
+
+  /**
+   * @private
+   */
+  static _toCSV(records) {
+    const rows = records.map(record => [
+      record.query,
+      record.type,
+      record.lang || '',
+      String(record.count),
+      record.firstSeen,
+      record.lastSeen,
+      record.clicks.map(click => click.url).join(' ')
+    ]);
+    return [HISTORY_CSV_COLUMNS, ...rows]
+      .map(row => row.map(HistoryTransfer._escapeCSV).join(','))
+      .join('\r\n');
+  }
+
+  /**
+   * CSVのフィールドをエスケープ
+   * 表計算ソフトで数式として解釈されないよう、先頭が = + - @ の値には ' を付ける
+   * @private
+   */
+  static _escapeCSV(value) {
+    let field = String(value);
+    if (/^[=+\-@]/.test(field)) field = `'${field}`;
+    return /[",\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+  }
+
+  /**
+   * @private
+   */
+  static _fromCSV(text) {
+    const [header, ...rows] = HistoryTransfer._parseCSVRows(text);
+    const columns = header.map(name => name.trim());
+    const missing = HISTORY_CSV_COLUMNS.filter(name => name !== 'clicks' && !columns.includes(name));
+    if (missing.length > 0) {
+      throw new Error(`CSVに必要な列がありません: ${missing.join(', ')}`);
+    }
+
+    return rows
+      .filter(row => row.some(field => field !== ''))
+      .map(row => {
+        const item = {};
+        columns.forEach((name, index) => {
+          item[name] = (row[index] || '').replace(/^'(?=[=+\-@])/, '');
+        });
+        item.clicks = (item.clicks || '').split(/\s+/).filter(Boolean)
+          .map(url => ({ url, title: '', timestamp: item.lastSeen }));
+        return item;
+      });
+  }
+
+  /**
+   * RFC 4180 形式のCSVを行と列に分割
+   * @private
+   * @returns {string[][]}
+   */
+  static _parseCSVRows(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+    row.push(field);
+    rows.push(row);
+    return rows;
+  }
+
+  /**
+   * Netscape形式のブックマークHTMLを生成
+   * 検索ごとにフォルダを作り、検索を開くリンクと開いた結果を入れる。保存した結果はコレクションごとのフォルダにする
+   * @private
+   */
+  static _toBookmarks(records, collections, baseUrl) {
+    const escape = HistoryTransfer._escapeHTML;
+    const seconds = iso => Math.floor(Date.parse(iso) / 1000);
+
+    const folders = records.map(record => {
+      const searchUrl = new URL(baseUrl);
+      searchUrl.searchParams.set('q', record.query);
+      searchUrl.searchParams.set('type', record.type);
+      if (record.lang) searchUrl.searchParams.set('lang', record.lang);
+
+      const links = [
+        `<DT><A HREF="${escape(searchUrl.href)}" ADD_DATE="${seconds(record.firstSeen)}" ` +
+          `LAST_VISIT="${seconds(record.lastSeen)}" DATA-COUNT="${record.count}">${escape(record.query)}</A>`,
+        ...record.clicks.map(click =>
+          `<DT><A HREF="${escape(click.url)}" ADD_DATE="${seconds(click.timestamp)}">${escape(click.title || click.url)}</A>`
+        )
+      ];
+
+      return [
+        `<DT><H3 ADD_DATE="${seconds(record.firstSeen)}" LAST_MODIFIED="${seconds(record.lastSeen)}">${escape(record.query)}</H3>`,
+        '<DL><p>',
+        ...links.map(link => `    ${link}`),
+        '</DL><p>'
+      ].map(line => `        ${line}`).join('\n');
+    });
+
+    const saved = collections.map(collection => [
+      `<DT><H3 ADD_DATE="${seconds(collection.createdAt)}">${escape(collection.name)}</H3>`,
+      '<DL><p>',
+      ...collection.items.map(item =>
+        `    <DT><A HREF="${escape(item.url)}" ADD_DATE="${seconds(item.savedAt)}">${escape(item.title || item.url)}</A>`
+      ),
+      '</DL><p>'
+    ].map(line => `        ${line}`).join('\n'));
+
+    return [
+      '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+      '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+      '<TITLE>Bookmarks</TITLE>',
+      '<H1>Bookmarks</H1>',
+      '<DL><p>',
+      '    <DT><H3>Wholphin 検索履歴</H3>',
+      '    <DL><p>',
+      ...folders,
+      '    </DL><p>',
+      ...(saved.length > 0 ? ['    <DT><H3>Wholphin 保存した結果</H3>', '    <DL><p>', ...saved, '    </DL><p>'] : []),
+      '</DL><p>'
+    ].join('\n');
+  }
+
+  /**
+   * ブックマークHTMLから履歴を復元
+   * このアプリへの q パラメータ付きリンクを検索とみなし、同じフォルダ内の他のリンクを開いた結果とする
+   * (他の検索エンジンの検索結果ページのブックマークは取り込まない)
+   * @private
+   */
+  static _fromBookmarks(text, baseUrl) {
+    const doc = new DOMParser().parseFromString(text, 'text/html');
+    const app = new URL(baseUrl);
+    const entries = [];
+
+    doc.querySelectorAll('a[href]').forEach(link => {
+      let url;
+      try {
+        url = new URL(link.getAttribute('href'));
+      } catch {
+        return;
+      }
+      if (url.origin !== app.origin || url.pathname !== app.pathname) return;
+      const query = url.searchParams.get('q');
+      if (!query) return;
+
+      const added = Number(link.getAttribute('add_date')) * 1000;
+      const visited = Number(link.getAttribute('last_visit')) * 1000 || added;
+      const folder = link.closest('dl');
+      const clicks = Array.from(folder ? folder.querySelectorAll(':scope > dt > a[href]') : [])
+        .filter(other => other !== link)
+        .map(other => ({
+          url: other.getAttribute('href'),
+          title: other.textContent,
+          timestamp: new Date(Number(other.getAttribute('add_date')) * 1000 || visited).toISOString()
+        }));
+
+      entries.push({
+        query,
+        type: url.searchParams.get('type') || 'web',
+        lang: url.searchParams.get('lang'),
+        count: Number(link.getAttribute('data-count')) || 1,
+        firstSeen: new Date(added || Date.now()).toISOString(),
+        lastSeen: new Date(visited || Date.now()).toISOString(),
+        clicks
+      });
+    });
+
+    return entries;
+  }
+
+  /**
+   * @private
+   */
+  static _escapeHTML(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+}
+
+// エクスポート
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { HistoryTransfer };
+} else if (typeof window !== 'undefined') {
+  window.HistoryTransfer = HistoryTransfer;
+}
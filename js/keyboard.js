@@ -4,11 +4,40 @@
  */
 
 class KeyboardNavigation {
-  constructor(app) {
+  constructor(app, keymap = new Keymap()) {
     this.app = app;
+    this.keymap = keymap;
     this.suggestionIndex = -1;
-    this.resultIndex = -1;
-    this.isMetaKey = navigator.platform.includes('Mac') ? 'metaKey' : 'ctrlKey';
+    // Focused result by stable ID, so focus survives re-renders and appended pages
+    this.focusedId = null;
+    // Vim-style count typed before a command (5j), 0 when none
+    this.count = 0;
+    // Keymap commands, called with the count (or null); returning false leaves the key to the browser
+    this.commands = {
+      'search.focus': () => this.focusSearch(),
+      'shortcuts.show': () => this.app.toggleShortcuts(),
+      'palette.open': () => this.app.toggleCommandPalette(),
+      'nav.home': () => this.app.goToHome(),
+      'type.web': () => this.switchTab(0),
+      'type.image': () => this.switchTab(1),
+      'type.video': () => this.switchTab(2),
+      'type.news': () => this.switchTab(3),
+      'results.next': count => this.navigateResults('down', count || 1),
+      'results.previous': count => this.navigateResults('up', count || 1),
+      'results.first': count => this.jumpToResult(count || 1),
+      'results.last': count => this.jumpToResult(count || -1),
+      'results.nextPage': count => this.app.stepPage(count || 1),
+      'results.previousPage': count => this.app.stepPage(-(count || 1)),
+      'results.open': () => this.openResult(false),
+      'results.openInNewTab': () => this.openResult(true),
+      'results.yank': () => this.yankResult(),
+      'results.toggleSelect': () => this.toggleSelected(),
+      'results.filter': () => this.app.openResultFilter(),
+      'results.quickLook': () => (this.app.showQuickLook ? this.app.closeQuickLook() : this.showQuickLook()),
+      'tabs.reopenClosed': () => this.app.reopenClosedTab(),
+      'tabs.nextInGroup': () => this.app.cycleTabInGroup(1),
+      'tabs.previousInGroup': () => this.app.cycleTabInGroup(-1)
+    };
     this.init();
   }
 
@@ -17,61 +46,76 @@ class KeyboardNavigation {
   }
 
   handleKeyDown(event) {
-    // ⌘K or Ctrl+K - Focus search
-    if (event[this.isMetaKey] && event.key === 'k') {
-      event.preventDefault();
-      this.focusSearch();
-      return;
-    }
-
     // Escape - Unfocus search or close modals
     if (event.key === 'Escape') {
+      this.keymap.clearPending();
+      this.clearCount();
       this.handleEscape();
       return;
     }
 
-    // Number keys with modifier - Switch tabs
-    if (event[this.isMetaKey] && ['1', '2', '3', '4'].includes(event.key)) {
-      event.preventDefault();
-      this.switchTab(parseInt(event.key) - 1);
+    // Arrow navigation in suggestions
+    if (this.app.showSuggestions && ['ArrowDown', 'ArrowUp', 'Tab'].includes(event.key)) {
+      this.navigateSuggestions(event);
       return;
     }
 
-    // Arrow navigation in suggestions
-    if (this.app.showSuggestions && ['ArrowDown', 'ArrowUp', 'Tab'].includes(event.key)) {
+    // Enter picks the focused suggestion, Shift+Delete removes it from history
+    if (this.app.showSuggestions && this.suggestionIndex >= 0 &&
+        (event.key === 'Enter' || (event.key === 'Delete' && event.shiftKey))) {
       this.navigateSuggestions(event);
       return;
     }
 
-    // J/K or Arrow keys - Navigate results
-    if (this.app.results.length > 0 && !this.app.isSearchFocused) {
-      if (['j', 'ArrowDown'].includes(event.key)) {
-        event.preventDefault();
-        this.navigateResults('down');
-        return;
-      }
-      if (['k', 'ArrowUp'].includes(event.key)) {
+    // Everything else goes through the (user-remappable) keymap
+    const typing = this.isTyping(event);
+    const match = this.keymap.resolve(event, { typing });
+    if (!match) {
+      // Modifier keys alone (e.g. Shift before G) keep the count
+      if (!this.keymap.normalizeEvent(event)) return;
+      if (!typing && this.addCount(event)) {
         event.preventDefault();
-        this.navigateResults('up');
         return;
       }
+      this.clearCount();
+      return;
     }
-
-    // Enter - Open selected result
-    if (event.key === 'Enter' && this.resultIndex >= 0) {
+    if (match.pending) {
       event.preventDefault();
-      this.openResult(event[this.isMetaKey]);
       return;
     }
 
-    // Space - Quick Look
-    if (event.key === ' ' && this.resultIndex >= 0 && !this.app.isSearchFocused) {
+    const count = this.count || null;
+    this.clearCount();
+    const handler = this.commands[match.command];
+    if (handler && handler(count) !== false) {
       event.preventDefault();
-      this.showQuickLook();
-      return;
     }
   }
 
+  // Unbound plain digits build up a count; a leading 0 is not a count
+  addCount(event) {
+    if (event.ctrlKey || event.metaKey || event.altKey || !/^[0-9]$/.test(event.key)) return false;
+    if (this.count === 0 && event.key === '0') return false;
+
+    this.count = Math.min(this.count * 10 + Number(event.key), 999);
+    this.app.showKeyboardStatus(String(this.count), 0);
+    return true;
+  }
+
+  clearCount() {
+    if (this.count === 0) return;
+    this.count = 0;
+    this.app.showKeyboardStatus('');
+  }
+
+  // Plain keys are left alone while typing in the search box or any other field
+  isTyping(event) {
+    const target = event.target;
+    return this.app.isSearchFocused || Boolean(target && target.closest &&
+      target.closest('input, textarea, select, [contenteditable=""], [contenteditable="true"]'));
+  }
+
   focusSearch() {
     const searchInput = document.querySelector('.search-input');
     if (searchInput) {
@@ -81,9 +125,39 @@ class KeyboardNavigation {
   }
 
   handleEscape() {
+    // Stop voice search if listening
+    if (this.app.voiceState === 'listening') {
+      this.app.cancelVoiceSearch();
+      return;
+    }
+
+    // Close the command palette if open
+    if (this.app.showCommandPalette) {
+      this.app.toggleCommandPalette();
+      return;
+    }
+
+    // Close the shortcut list if open
+    if (this.app.showShortcuts) {
+      this.app.toggleShortcuts();
+      return;
+    }
+
+    // Close the comparison view if open
+    if (this.app.compareResults.length > 0) {
+      this.app.closeCompare();
+      return;
+    }
+
     // Close Quick Look if open
     if (this.app.showQuickLook) {
-      this.app.showQuickLook = false;
+      this.app.closeQuickLook();
+      return;
+    }
+
+    // Close the result filter if open
+    if (this.app.showResultFilter) {
+      this.app.closeResultFilter();
       return;
     }
 
@@ -93,6 +167,12 @@ class KeyboardNavigation {
       return;
     }
 
+    // Close tab menu if open
+    if (this.app.tabMenu) {
+      this.app.closeTabMenu();
+      return;
+    }
+
     // Close settings if open
     if (this.app.showSettings) {
       this.app.showSettings = false;
@@ -132,6 +212,16 @@ class KeyboardNavigation {
       this.app.selectSuggestion(suggestions[this.suggestionIndex]);
       this.suggestionIndex = -1;
     }
+
+    // Shift+Delete on a history suggestion removes it
+    if (event.key === 'Delete' && this.suggestionIndex >= 0) {
+      const suggestion = suggestions[this.suggestionIndex];
+      if (suggestion.isHistory) {
+        this.app.deleteSuggestion(suggestion);
+        this.suggestionIndex = Math.min(this.suggestionIndex, this.app.suggestions.length - 1);
+        this.updateSuggestionFocus();
+      }
+    }
   }
 
   updateSuggestionFocus() {
@@ -146,36 +236,70 @@ class KeyboardNavigation {
     });
   }
 
-  navigateResults(direction) {
-    const maxIndex = this.app.results.length - 1;
+  // IDs of the cards in the order they are shown, skipping those hidden by the result filter
+  getVisibleResultIds() {
+    return Array.from(document.querySelectorAll('.result-card:not(.result-filtered)'))
+      .map(card => this.app.resultIdForCard(card))
+      .filter(Boolean);
+  }
+
+  navigateResults(direction, count = 1) {
+    const ids = this.getVisibleResultIds();
+    if (ids.length === 0) return false;
 
-    if (direction === 'down') {
-      this.resultIndex = Math.min(this.resultIndex + 1, maxIndex);
+    const index = ids.indexOf(this.focusedId);
+    let target;
+    if (index === -1) {
+      // Without a focused result, j/k start from the first card
+      target = direction === 'down' ? count - 1 : 0;
     } else {
-      this.resultIndex = Math.max(this.resultIndex - 1, 0);
+      target = direction === 'down' ? index + count : index - count;
     }
+    this.focusResult(ids[Math.min(Math.max(target, 0), ids.length - 1)]);
+  }
+
+  // Jump to the nth visible result (1-based); -1 is the last one
+  jumpToResult(position) {
+    const ids = this.getVisibleResultIds();
+    if (ids.length === 0) return false;
 
+    const index = position === -1 ? ids.length - 1 : Math.min(position, ids.length) - 1;
+    this.focusResult(ids[index]);
+  }
+
+  focusResult(id) {
+    this.focusedId = id;
     this.updateResultFocus();
+
+    // Moving while Quick Look is open previews the newly focused result
+    if (this.app.showQuickLook) this.showQuickLook();
   }
 
-  updateResultFocus() {
+  updateResultFocus(scroll = true) {
     const cards = document.querySelectorAll('.result-card');
-    cards.forEach((card, index) => {
-      if (index === this.resultIndex) {
+    cards.forEach(card => {
+      if (this.focusedId !== null && this.app.resultIdForCard(card) === this.focusedId) {
         card.classList.add('keyboard-focus');
-        card.scrollIntoView({ block: 'center', behavior: 'smooth' });
+        if (scroll) card.scrollIntoView({ block: 'center', behavior: 'smooth' });
       } else {
         card.classList.remove('keyboard-focus');
       }
     });
   }
 
+  // Put focus back on a result (e.g. when switching tabs) once the cards have rendered
+  restoreFocus(id) {
+    this.focusedId = id || null;
+    this.app.$nextTick(() => this.updateResultFocus(false));
+  }
+
   openResult(newTab = false) {
-    if (this.resultIndex < 0 || this.resultIndex >= this.app.results.length) {
-      return;
+    const result = this.app.findResult(this.focusedId);
+    if (!result) {
+      return false;
     }
 
-    const result = this.app.results[this.resultIndex];
+    this.app.recordResultClick(result);
     if (newTab) {
       window.open(result.url, '_blank', 'noopener,noreferrer');
     } else {
@@ -183,19 +307,38 @@ class KeyboardNavigation {
     }
   }
 
+  yankResult() {
+    const result = this.app.findResult(this.focusedId);
+    if (!result) {
+      return false;
+    }
+
+    navigator.clipboard.writeText(result.url).then(
+      () => this.app.showKeyboardStatus('URLをコピーしました'),
+      () => this.app.showKeyboardStatus('URLをコピーできませんでした')
+    );
+  }
+
+  toggleSelected() {
+    if (!this.app.findResult(this.focusedId)) {
+      return false;
+    }
+
+    this.app.multiSelect.toggle(this.focusedId);
+  }
+
   showQuickLook() {
-    if (this.resultIndex < 0 || this.resultIndex >= this.app.results.length) {
-      return;
+    const result = this.app.findResult(this.focusedId);
+    if (!result) {
+      return false;
     }
 
-    const result = this.app.results[this.resultIndex];
-    this.app.showQuickLook = true;
-    this.app.quickLookData = result;
+    this.app.openQuickLook(result);
   }
 
   reset() {
     this.suggestionIndex = -1;
-    this.resultIndex = -1;
+    this.focusedId = null;
     
     // Remove all focus classes
     document.querySelectorAll('.keyboard-focus').forEach(el => {
@@ -0,0 +1,499 @@
+/**
+ * キーマップ
+ * 名前付きコマンドとキー割り当てを管理する。割り当てはユーザーが変更でき(localStorageに保存)、
+ * 重複の検出と複数キーの連続入力(例: "g h")に対応する。
+ *
+ * 割り当ての書式:
+ * - 1打鍵は修飾キーとキーを + でつなぐ(例: "mod+k", "alt+shift+t", "?")
+ * - mod は macOS では ⌘、それ以外では Ctrl
+ * - 連続入力は打鍵を空白で区切る(例: "g h")
+ * - 英字以外の記号は Shift を含めずに書く("shift+/" ではなく "?")
+ * - 割り当てのない数字キーは KeyboardNavigation が回数の指定(例: "5j")に使う
+ */
+
+const KEYMAP_STORAGE_KEY = 'wholphin_keymap';
+const CHORD_TIMEOUT = 1000; // 連続入力の次の打鍵を待つ時間(ミリ秒)
+
+const MODIFIER_ORDER = ['mod', 'ctrl', 'meta', 'alt', 'shift'];
+
+const MODIFIER_ALIASES = {
+  cmd: 'meta',
+  command: 'meta',
+  control: 'ctrl',
+  option: 'alt'
+};
+
+const KEY_ALIASES = {
+  ' ': 'space',
+  esc: 'escape',
+  del: 'delete',
+  up: 'arrowup',
+  down: 'arrowdown',
+  left: 'arrowleft',
+  right: 'arrowright',
+  return: 'enter'
+};
+
+// Alt併用時は入力される文字が配列や OS で変わるため、物理キーから割り当てを引く
+const CODE_KEYS = {
+  BracketLeft: '[',
+  BracketRight: ']',
+  Minus: '-',
+  Equal: '=',
+  Comma: ',',
+  Period: '.',
+  Slash: '/',
+  Semicolon: ';',
+  Quote: "'",
+  Backquote: '`',
+  Backslash: '\\'
+};
+
+const KEY_LABELS = {
+  arrowup: '↑',
+  arrowdown: '↓',
+  arrowleft: '←',
+  arrowright: '→',
+  enter: '↵',
+  space: 'Space',
+  escape: 'Esc',
+  delete: 'Del',
+  backspace: '⌫',
+  tab: 'Tab'
+};
+
+/**
+ * 既定のコマンドと割り当て
+ * typing: true のコマンドは検索欄などへの入力中でも修飾キーなしで動く
+ * @readonly
+ */
+const DEFAULT_KEYMAP = [
+  { command: 'search.focus', label: '検索欄にフォーカス', group: '全般', keys: ['mod+k'] },
+  { command: 'shortcuts.show', label: 'ショートカット一覧', group: '全般', keys: ['?'] },
+  { command: 'palette.open', label: 'コマンドパレット', group: '全般', keys: ['mod+shift+p'] },
+  { command: 'nav.home', label: 'ホームに戻る', group: '全般', keys: ['g h'] },
+  { command: 'type.web', label: 'ウェブ検索', group: '検索タイプ', keys: ['mod+1'] },
+  { command: 'type.image', label: '画像検索', group: '検索タイプ', keys: ['mod+2'] },
+  { command: 'type.video', label: '動画検索', group: '検索タイプ', keys: ['mod+3'] },
+  { command: 'type.news', label: 'ニュース検索', group: '検索タイプ', keys: ['mod+4'] },
+  { command: 'results.next', label: '次の結果', group: '検索結果', keys: ['j', 'arrowdown'] },
+  { command: 'results.previous', label: '前の結果', group: '検索結果', keys: ['k', 'arrowup'] },
+  { command: 'results.first', label: '最初の結果', group: '検索結果', keys: ['g g'] },
+  { command: 'results.last', label: '最後の結果', group: '検索結果', keys: ['shift+g'] },
+  { command: 'results.nextPage', label: '次のページ', group: '検索結果', keys: ['n', ']'] },
+  { command: 'results.previousPage', label: '前のページ', group: '検索結果', keys: ['p', '['] },
+  { command: 'results.open', label: '結果を開く', group: '検索結果', keys: ['enter', 'o'] },
+  { command: 'results.openInNewTab', label: '結果を新しいタブで開く', group: '検索結果', keys: ['mod+enter', 'shift+o'] },
+  { command: 'results.yank', label: '結果のURLをコピー', group: '検索結果', keys: ['y'] },
+  { command: 'results.toggleSelect', label: '結果の選択を切り替え', group: '検索結果', keys: ['x'] },
+  { command: 'results.filter', label: '表示中の結果を絞り込む', group: '検索結果', keys: ['/'] },
+  { command: 'results.quickLook', label: 'クイックルック', group: '検索結果', keys: ['space'] },
+  { command: 'tabs.reopenClosed', label: '閉じたタブを開き直す', group: 'タブ', keys: ['alt+shift+t'] },
+  { command: 'tabs.nextInGroup', label: 'グループ内の次のタブ', group: 'タブ', keys: ['alt+]'] },
+  { command: 'tabs.previousInGroup', label: 'グループ内の前のタブ', group: 'タブ', keys: ['alt+['] }
+];
+
+/**
+ * コマンドとキー割り当ての登録・解釈
+ */
+class Keymap {
+  /**
+   * @param {Object} [options]
+   * @param {Object[]} [options.commands=DEFAULT_KEYMAP] - コマンド定義
+   * @param {string} [options.storageKey] - 変更した割り当てを保存するlocalStorageキー
+   * @param {boolean} [options.isMac] - mod を ⌘ として扱うか
+   */
+  constructor(options = {}) {
+    this.storageKey = options.storageKey || KEYMAP_STORAGE_KEY;
+    this.isMac = options.isMac !== undefined
+      ? options.isMac
+      : typeof navigator !== 'undefined' && navigator.platform.includes('Mac');
+    this.commands = new Map();
+    (options.commands || DEFAULT_KEYMAP).forEach(definition => this.register(definition));
+    this.overrides = this.loadOverrides();
+    this.pending = [];
+    this.pendingTimer = null;
+  }
+
+  /**
+   * コマンドを登録(既存の同名コマンドは置き換える)
+   * @param {Object} definition - コマンド定義
+   * @param {string} definition.command - コマンド名
+   * @param {string} definition.label - 表示名
+   * @param {string} [definition.group] - 一覧での見出し
+   * @param {string[]} [definition.keys] - 既定の割り当て
+   * @param {boolean} [definition.typing] - 入力中でも修飾キーなしで動くか
+   */
+  register(definition) {
+    this.commands.set(definition.command, {
+      ...definition,
+      keys: (definition.keys || []).map(binding => this.parse(binding))
+    });
+  }
+
+  /**
+   * 保存済みの割り当て(不正なものは読み捨てる)
+   * @returns {Object<string, string[]>} コマンド名ごとの割り当て
+   */
+  loadOverrides() {
+    let saved;
+    try {
+      saved = JSON.parse(localStorage.getItem(this.storageKey) || '{}');
+    } catch {
+      return {};
+    }
+
+    const overrides = {};
+    Object.entries(saved || {}).forEach(([command, bindings]) => {
+      if (!this.commands.has(command) || !Array.isArray(bindings)) return;
+      try {
+        overrides[command] = bindings.map(binding => this.parse(binding));
+      } catch {
+        // 読めない割り当ては既定に戻す
+      }
+    });
+    return overrides;
+  }
+
+  saveOverrides() {
+    localStorage.setItem(this.storageKey, JSON.stringify(this.overrides));
+  }
+
+  /**
+   * コマンドの現在の割り当て
+   * @param {string} command - コマンド名
+   * @returns {string[]}
+   */
+  getBindings(command) {
+    if (this.overrides[command]) return this.overrides[command];
+    const definition = this.commands.get(command);
+    return definition ? definition.keys : [];
+  }
+
+  /**
+   * すべてのコマンドと現在の割り当て(一覧表示用)
+   * @returns {Array<{command: string, label: string, group: string, bindings: string[], labels: string[], customized: boolean}>}
+   */
+  getAll() {
+    return Array.from(this.commands.values()).map(definition => {
+      const bindings = this.getBindings(definition.command);
+      return {
+        command: definition.command,
+        label: definition.label,
+        group: definition.group || '',
+        bindings,
+        labels: bindings.map(binding => this.format(binding)),
+        customized: Boolean(this.overrides[definition.command])
+      };
+    });
+  }
+
+  /**
+   * 割り当てを変更して保存
+   * @param {string} command - コマンド名
+   * @param {string[]} bindings - 新しい割り当て(空配列で無効化)
+   * @throws {Error} 未知のコマンド、不正な割り当て、他のコマンドとの重複
+   */
+  setBindings(command, bindings) {
+    if (!this.commands.has(command)) {
+      throw new Error(`Unknown command: ${command}`);
+    }
+
+    const parsed = Array.from(new Set(bindings.map(binding => this.parse(binding))));
+    const conflicts = this.findConflicts(parsed, command);
+    if (conflicts.length > 0) {
+      const { binding, command: other } = conflicts[0];
+      throw new Error(`Shortcut "${binding}" conflicts with "${other}"`);
+    }
+
+    this.overrides[command] = parsed;
+    this.saveOverrides();
+  }
+
+  /**
+   * 割り当てを既定に戻す
+   * @param {string} [command] - 省略時はすべてのコマンド
+   */
+  reset(command) {
+    if (command) {
+      delete this.overrides[command];
+    } else {
+      this.overrides = {};
+    }
+    this.saveOverrides();
+  }
+
+  /**
+   * 他のコマンドと重複する割り当てを探す
+   * 同じ割り当てのほか、一方が他方の連続入力の先頭になる場合("g" と "g h")も重複とする
+   * @param {string[]} bindings - 正規化済みの割り当て
+   * @param {string} [exceptCommand] - 比較から除くコマンド(変更対象)
+   * @returns {Array<{binding: string, command: string, label: string}>}
+   */
+  findConflicts(bindings, exceptCommand) {
+    const conflicts = [];
+    this.commands.forEach(definition => {
+      if (definition.command === exceptCommand) return;
+      this.getBindings(definition.command).forEach(existing => {
+        bindings.forEach(binding => {
+          if (!Keymap.overlaps(binding, existing)) return;
+          conflicts.push({ binding, command: definition.command, label: definition.label });
+        });
+      });
+    });
+    return conflicts;
+  }
+
+  /**
+   * 現在のキーマップ全体の重複
+   * @returns {Array<{binding: string, commands: string[]}>}
+   */
+  getConflicts() {
+    const conflicts = [];
+    const definitions = Array.from(this.commands.values());
+    definitions.forEach((definition, index) => {
+      const bindings = this.getBindings(definition.command);
+      definitions.slice(index + 1).forEach(other => {
+        this.getBindings(other.command).forEach(existing => {
+          bindings.forEach(binding => {
+            if (!Keymap.overlaps(binding, existing)) return;
+            conflicts.push({ binding, commands: [definition.command, other.command] });
+          });
+        });
+      });
+    });
+    return conflicts;
+  }
+
+  /**
+   * キー入力をコマンドに変換
+   * 連続入力の途中なら pending を返し、次の打鍵を待つ
+   * @param {KeyboardEvent} event - keydownイベント
+   * @param {Object} [context]
+   * @param {boolean} [context.typing=false] - 入力欄にフォーカスがあるか
+   * @returns {{command: string, binding: string}|{pending: true}|null}
+   */
+  resolve(event, context = {}) {
+    const stroke = this.normalizeEvent(event);
+    if (!stroke) return null;
+
+    const sequence = [...this.pending, stroke].join(' ');
+    const match = this.find(sequence, context);
+    if (match) {
+      this.clearPending();
+      return match;
+    }
+
+    if (this.hasPrefix(sequence, context)) {
+      this.pending = sequence.split(' ');
+      clearTimeout(this.pendingTimer);
+      this.pendingTimer = setTimeout(() => this.clearPending(), CHORD_TIMEOUT);
+      return { pending: true };
+    }
+
+    // 連続入力が途切れたら、最後の打鍵だけで解釈し直す
+    if (this.pending.length > 0) {
+      this.clearPending();
+      return this.resolve(event, context);
+    }
+    return null;
+  }
+
+  /**
+   * @private
+   * @param {string} sequence - 正規化済みの打鍵列
+   * @param {Object} context
+   * @returns {{command: string, binding: string}|null}
+   */
+  find(sequence, context) {
+    for (const definition of this.commands.values()) {
+      if (!this.isAvailable(definition, sequence, context)) continue;
+      if (this.getBindings(definition.command).includes(sequence)) {
+        return { command: definition.command, binding: sequence };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * @private
+   * @param {string} sequence - 正規化済みの打鍵列
+   * @param {Object} context
+   * @returns {boolean} 続きの打鍵で一致するコマンドがあるか
+   */
+  hasPrefix(sequence, context) {
+    return Array.from(this.commands.values()).some(definition =>
+      this.isAvailable(definition, sequence, context) &&
+      this.getBindings(definition.command).some(binding => binding.startsWith(`${sequence} `))
+    );
+  }
+
+  /**
+   * 入力中は修飾キー(Shift以外)付きの打鍵で始まる割り当てだけを有効にする
+   * @private
+   */
+  isAvailable(definition, sequence, context) {
+    if (!context.typing || definition.typing) return true;
+    const { modifiers } = Keymap.splitStroke(sequence.split(' ')[0]);
+    return modifiers.some(modifier => modifier !== 'shift');
+  }
+
+  clearPending() {
+    clearTimeout(this.pendingTimer);
+    this.pendingTimer = null;
+    this.pending = [];
+  }
+
+  /**
+   * keydownイベントを正規化した打鍵に変換
+   * @param {KeyboardEvent} event
+   * @returns {string|null} 修飾キーのみ・IME変換中はnull
+   */
+  normalizeEvent(event) {
+    if (event.isComposing || ['Shift', 'Control', 'Alt', 'Meta', 'Dead', 'Process'].includes(event.key)) {
+      return null;
+    }
+
+    let key = event.key || '';
+    if (event.altKey && event.code) {
+      const letter = event.code.match(/^(?:Key([A-Z])|Digit(\d))$/);
+      if (letter) key = letter[1] || letter[2];
+      else if (CODE_KEYS[event.code]) key = CODE_KEYS[event.code];
+    }
+    key = KEY_ALIASES[key] || key.toLowerCase();
+
+    const modifiers = new Set();
+    if (this.isMac ? event.metaKey : event.ctrlKey) modifiers.add('mod');
+    if (this.isMac ? event.ctrlKey : event.metaKey) modifiers.add(this.isMac ? 'ctrl' : 'meta');
+    if (event.altKey) modifiers.add('alt');
+    if (event.shiftKey && !Keymap.isShiftedSymbol(key, modifiers)) modifiers.add('shift');
+
+    return Keymap.joinStroke(Array.from(modifiers), key);
+  }
+
+  /**
+   * 割り当てを表示用の文字列に変換(例: "mod+k" → "⌘K")
+   * @param {string} binding - 正規化済みの割り当て
+   * @returns {string}
+   */
+  format(binding) {
+    const modifierLabels = this.isMac
+      ? { mod: '⌘', meta: '⌘', ctrl: '⌃', alt: '⌥', shift: '⇧' }
+      : { mod: 'Ctrl', meta: 'Win', ctrl: 'Ctrl', alt: 'Alt', shift: 'Shift' };
+
+    return binding.split(' ').map(stroke => {
+      const { modifiers, key } = Keymap.splitStroke(stroke);
+      const keyLabel = KEY_LABELS[key] || (key.length === 1 ? key.toUpperCase() : key[0].toUpperCase() + key.slice(1));
+      const parts = [...modifiers.map(modifier => modifierLabels[modifier]), keyLabel];
+      return parts.join(this.isMac ? '' : '+');
+    }).join(' ');
+  }
+
+  /**
+   * この環境向けに割り当てを正規化(macOS の ⌘、それ以外の Ctrl は mod として扱う)
+   * @param {string} text - 例: "Cmd+K", "ctrl+enter"
+   * @returns {string} 正規化済みの割り当て
+   * @throws {Error} 不正な割り当て
+   */
+  parse(text) {
+    const primary = this.isMac ? 'meta' : 'ctrl';
+    return Keymap.parseBinding(text).split(' ').map(stroke => {
+      const { modifiers, key } = Keymap.splitStroke(stroke);
+      return Keymap.joinStroke(modifiers.map(modifier => (modifier === primary ? 'mod' : modifier)), key);
+    }).join(' ');
+  }
+
+  /**
+   * 割り当ての文字列を正規化(大文字小文字・修飾キーの順序・別名をそろえる)
+   * @param {string} text - 例: "Ctrl+Shift+T", "g h"
+   * @returns {string} 正規化済みの割り当て
+   * @throws {Error} 不正な割り当て
+   */
+  static parseBinding(text) {
+    const strokes = String(text || '').trim().split(/\s+/).filter(Boolean);
+    if (strokes.length === 0) {
+      throw new Error('Shortcut must not be empty');
+    }
+    return strokes.map(stroke => Keymap.parseStroke(stroke)).join(' ');
+  }
+
+  /**
+   * @private
+   * @param {string} text - 1打鍵分の文字列
+   * @returns {string}
+   */
+  static parseStroke(text) {
+    const parts = text.toLowerCase().split('+');
+    let key = parts.pop();
+    // "+" そのものへの割り当て("mod++" や "+")
+    if (key === '' && parts[parts.length - 1] === '') {
+      parts.pop();
+      key = '+';
+    }
+    key = KEY_ALIASES[key] || key;
+    if (!key) {
+      throw new Error(`Shortcut "${text}" has no key`);
+    }
+
+    const modifiers = parts.map(part => {
+      const modifier = MODIFIER_ALIASES[part] || part;
+      if (!MODIFIER_ORDER.includes(modifier)) {
+        throw new Error(`Unknown modifier "${part}" in "${text}"`);
+      }
+      return modifier;
+    });
+    const withoutShift = modifiers.filter(modifier => modifier !== 'shift');
+    return Keymap.joinStroke(Keymap.isShiftedSymbol(key, withoutShift) ? withoutShift : modifiers, key);
+  }
+
+  /**
+   * 記号の文字はShiftを含んだ状態で入力されるため、Shiftを割り当てに含めない
+   * (Alt併用時は物理キーから引くのでShiftを残す)
+   * @private
+   */
+  static isShiftedSymbol(key, modifiers) {
+    const list = Array.from(modifiers);
+    return key.length === 1 && !/[a-z]/.test(key) && !list.includes('alt');
+  }
+
+  /**
+   * @private
+   * @param {string[]} modifiers
+   * @param {string} key
+   * @returns {string}
+   */
+  static joinStroke(modifiers, key) {
+    return [...MODIFIER_ORDER.filter(modifier => modifiers.includes(modifier)), key].join('+');
+  }
+
+  /**
+   * 正規化済みの1打鍵を修飾キーとキーに分ける
+   * @param {string} stroke
+   * @returns {{modifiers: string[], key: string}}
+   */
+  static splitStroke(stroke) {
+    if (stroke === '+' || stroke.endsWith('++')) {
+      return { modifiers: stroke.slice(0, -2).split('+').filter(Boolean), key: '+' };
+    }
+    const parts = stroke.split('+');
+    const key = parts.pop();
+    return { modifiers: parts, key };
+  }
+
+  /**
+   * 2つの割り当てが衝突するか(同一、または一方が他方の連続入力の先頭)
+   * @param {string} a - 正規化済みの割り当て
+   * @param {string} b - 正規化済みの割り当て
+   * @returns {boolean}
+   */
+  static overlaps(a, b) {
+    return a === b || a.startsWith(`${b} `) || b.startsWith(`${a} `);
+  }
+}
+
+// エクスポート
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { Keymap, DEFAULT_KEYMAP, KEYMAP_STORAGE_KEY };
+} else if (typeof window !== 'undefined') {
+  window.Keymap = Keymap;
+}
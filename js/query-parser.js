@@ -0,0 +1,382 @@
+/**
+ * 検索クエリ構文パーサー
+ * site: / -site: / -除外語 / "フレーズ" / filetype: / lang: / type: / before: / after: を解釈する
+ *
+ * バックエンドはqをそのまま検索エンジンに渡すため、一般的な検索エンジンが理解する
+ * 語句・フレーズ・除外語・site: / -site: はqに残し、それ以外は取り除いてAPIパラメータ
+ * (lang, type)またはクライアント側のフィルター(filetype, before, after)として適用する。
+ * qに残した条件もフィルターで再確認する。
+ *
+ * 制限: クライアント側のフィルターは取得済みのページ(1ページ約10件)を絞り込むだけなので、
+ * filetype: や before: / after: に合う結果が少ないと、1ページに表示される件数も少なくなる
+ * (バックエンドがこれらの条件を受け付けないため、次のページから補うことはしない)。
+ */
+
+/**
+ * 演算子の定義
+ * forward: qに残してバックエンドに渡すか, negatable: -で否定できるか
+ * @readonly
+ */
+const QUERY_OPERATORS = {
+  site: { forward: true, negatable: true },
+  filetype: { forward: false, negatable: true },
+  lang: { forward: false, negatable: false },
+  type: { forward: false, negatable: false },
+  before: { forward: false, negatable: false },
+  after: { forward: false, negatable: false }
+};
+
+/**
+ * 演算子の別名
+ * @readonly
+ */
+const QUERY_OPERATOR_ALIASES = {
+  ext: 'filetype'
+};
+
+/**
+ * type: に指定できる値(サーバーに送る検索タイプのうち、結果一覧を持つもの)
+ * @readonly
+ */
+const QUERY_TYPES = ['all', 'web', 'image', 'video', 'news'];
+const QUERY_LANGUAGES = ['ja', 'en'];
+
+/**
+ * クエリ構文エラー
+ */
+class QuerySyntaxError extends Error {
+  /**
+   * @param {string} message - エラーメッセージ
+   * @param {number} start - エラー箇所の開始位置
+   * @param {number} end - エラー箇所の終了位置
+   */
+  constructor(message, start, end) {
+    super(message);
+    this.name = 'QuerySyntaxError';
+    this.start = start;
+    this.end = end;
+  }
+}
+
+/**
+ * 解析済みクエリ
+ */
+class ParsedQuery {
+  /**
+   * @param {string} raw - 入力されたクエリ
+   */
+  constructor(raw) {
+    this.raw = raw;
+    /** @type {Array<{kind: string, value: string, start: number, end: number, negated: boolean, operator: string|null}>} */
+    this.tokens = [];
+    /** @type {QuerySyntaxError[]} */
+    this.errors = [];
+    this.terms = [];
+    this.phrases = [];
+    this.excludedTerms = [];
+    this.sites = [];
+    this.excludedSites = [];
+    this.fileTypes = [];
+    this.excludedFileTypes = [];
+    this.lang = null;
+    this.type = null;
+    this.before = null;
+    this.after = null;
+    this._forwarded = [];
+  }
+
+  /**
+   * バックエンドに送るクエリ文字列
+   * @returns {string}
+   */
+  get text() {
+    return this._forwarded.join(' ');
+  }
+
+  /**
+   * @returns {boolean} 構文エラーがないか
+   */
+  get isValid() {
+    return this.errors.length === 0;
+  }
+
+  /**
+   * @returns {boolean} 演算子が含まれているか
+   */
+  get hasOperators() {
+    return this.tokens.some(token => token.kind === 'operator');
+  }
+
+  /**
+   * 結果がクエリの条件を満たすか
+   * 日付がわからない結果は before: / after: では除外しない
+   * @param {SearchResult} result - 正規化済みの結果
+   * @returns {boolean}
+   */
+  matches(result) {
+    const domain = (result.domain || '').toLowerCase();
+    const onSite = site => domain === site || domain.endsWith(`.${site}`);
+
+    if (this.sites.length > 0 && !this.sites.some(onSite)) return false;
+    if (this.excludedSites.some(onSite)) return false;
+
+    const extension = ParsedQuery.extensionOf(result.url);
+    if (this.fileTypes.length > 0 && !this.fileTypes.includes(extension)) return false;
+    if (this.excludedFileTypes.includes(extension)) return false;
+
+    const text = `${result.title || ''} ${result.snippet || ''}`.toLowerCase();
+    if (this.excludedTerms.some(term => text.includes(term.toLowerCase()))) return false;
+
+    if (result.publishedAt && (this.before || this.after)) {
+      const publishedAt = new Date(result.publishedAt);
+      if (this.before && publishedAt >= this.before) return false;
+      if (this.after && publishedAt < this.after) return false;
+    }
+    return true;
+  }
+
+  /**
+   * 条件を満たす結果だけを返す
+   * @param {SearchResult[]} results - 正規化済みの結果
+   * @returns {SearchResult[]}
+   */
+  filter(results) {
+    return results.filter(result => this.matches(result));
+  }
+
+  /**
+   * URLの拡張子を取得
+   * @param {string} url - URL
+   * @returns {string|null} 小文字の拡張子
+   */
+  static extensionOf(url) {
+    try {
+      const match = new URL(url).pathname.match(/\.([a-z0-9]+)$/i);
+      return match ? match[1].toLowerCase() : null;
+    } catch {
+      return null;
+    }
+  }
+}
+
+/**
+ * 検索クエリ構文パーサー
+ */
+class QueryParser {
+  /**
+   * クエリを解析
+   * @param {string} raw - 入力されたクエリ
+   * @returns {ParsedQuery} 解析結果(構文エラーは errors に入る)
+   */
+  static parse(raw) {
+    const parsed = new ParsedQuery(raw);
+    let position = 0;
+
+    while (position < raw.length) {
+      if (/\s/.test(raw[position])) {
+        position++;
+        continue;
+      }
+
+      const token = QueryParser._readToken(raw, position, parsed);
+      parsed.tokens.push(token);
+      QueryParser._apply(token, raw, parsed);
+      position = token.end;
+    }
+
+    if (parsed.isValid && parsed.text === '') {
+      parsed.errors.push(new QuerySyntaxError('検索ワードを入力してください', 0, raw.length));
+    }
+    if (parsed.before && parsed.after && parsed.after >= parsed.before) {
+      parsed.errors.push(new QuerySyntaxError('after: は before: より前の日付にしてください', 0, raw.length));
+    }
+    return parsed;
+  }
+
+  /**
+   * 位置positionから1トークンを読み取る
+   * @private
+   * @param {string} raw - クエリ
+   * @param {number} position - 開始位置
+   * @param {ParsedQuery} parsed - エラーの記録先
+   * @returns {Object} トークン
+   */
+  static _readToken(raw, position, parsed) {
+    const start = position;
+    const negated = raw[position] === '-' && position + 1 < raw.length && !/\s/.test(raw[position + 1]);
+    if (negated) position++;
+
+    if (raw[position] === '"') {
+      const { value, end } = QueryParser._readQuoted(raw, position, parsed);
+      return { kind: negated ? 'exclude' : 'phrase', value, start, end, negated, operator: null };
+    }
+
+    const word = raw.slice(position).match(/^[^\s"]+/)[0];
+    const operatorMatch = word.match(/^([a-z]+):/i);
+    const name = operatorMatch && operatorMatch[1].toLowerCase();
+    const operator = name && (QUERY_OPERATOR_ALIASES[name] || name);
+
+    if (operator && QUERY_OPERATORS[operator]) {
+      const valueStart = position + operatorMatch[0].length;
+      let value = word.slice(operatorMatch[0].length);
+      let end = position + word.length;
+
+      if (value === '' && raw[valueStart] === '"') {
+        ({ value, end } = QueryParser._readQuoted(raw, valueStart, parsed));
+      }
+      return { kind: 'operator', value, start, end, negated, operator };
+    }
+
+    return { kind: negated ? 'exclude' : 'text', value: word, start, end: position + word.length, negated, operator: null };
+  }
+
+  /**
+   * 引用符で囲まれた文字列を読み取る
+   * @private
+   * @param {string} raw - クエリ
+   * @param {number} position - 開始引用符の位置
+   * @param {ParsedQuery} parsed - エラーの記録先
+   * @returns {{value: string, end: number}}
+   */
+  static _readQuoted(raw, position, parsed) {
+    const close = raw.indexOf('"', position + 1);
+    if (close === -1) {
+      parsed.errors.push(new QuerySyntaxError('引用符 " が閉じられていません', position, raw.length));
+      return { value: raw.slice(position + 1), end: raw.length };
+    }
+    return { value: raw.slice(position + 1, close), end: close + 1 };
+  }
+
+  /**
+   * トークンを解析結果に反映
+   * @private
+   * @param {Object} token - トークン
+   * @param {string} raw - クエリ
+   * @param {ParsedQuery} parsed - 解析結果
+   */
+  static _apply(token, raw, parsed) {
+    const source = raw.slice(token.start, token.end);
+    const fail = message => parsed.errors.push(new QuerySyntaxError(message, token.start, token.end));
+
+    if (token.kind === 'text') {
+      parsed.terms.push(token.value);
+      parsed._forwarded.push(source);
+      return;
+    }
+    if (token.kind === 'phrase') {
+      if (token.value.trim() === '') return fail('空のフレーズ "" は指定できません');
+      parsed.phrases.push(token.value);
+      parsed._forwarded.push(`"${token.value}"`);
+      return;
+    }
+    if (token.kind === 'exclude') {
+      if (token.value.trim() === '') return fail('除外する語句が空です');
+      parsed.excludedTerms.push(token.value);
+      parsed._forwarded.push(source);
+      return;
+    }
+
+    const { operator, negated } = token;
+    const value = token.value.trim();
+    const definition = QUERY_OPERATORS[operator];
+
+    if (value === '') return fail(`${operator}: の値がありません`);
+    if (negated && !definition.negatable) return fail(`${operator}: は - で否定できません`);
+
+    switch (operator) {
+      case 'site': {
+        const site = value.toLowerCase().replace(/^https?:\/\//, '').replace(/^www\./, '').replace(/\/.*$/, '');
+        (negated ? parsed.excludedSites : parsed.sites).push(site);
+        break;
+      }
+      case 'filetype':
+        (negated ? parsed.excludedFileTypes : parsed.fileTypes).push(value.toLowerCase().replace(/^\./, ''));
+        break;
+      case 'lang':
+        if (!QUERY_LANGUAGES.includes(value.toLowerCase())) {
+          return fail(`lang: には ${QUERY_LANGUAGES.join(', ')} のいずれかを指定してください`);
+        }
+        parsed.lang = value.toLowerCase();
+        break;
+      case 'type':
+        if (!QUERY_TYPES.includes(value.toLowerCase())) {
+          return fail(`type: には ${QUERY_TYPES.join(', ')} のいずれかを指定してください`);
+        }
+        parsed.type = value.toLowerCase();
+        break;
+      case 'before':
+      case 'after': {
+        const date = QueryParser.parseDate(value);
+        if (!date) return fail(`${operator}: の日付は YYYY-MM-DD の形式で指定してください`);
+        parsed[operator] = date;
+        break;
+      }
+    }
+
+    if (definition.forward) {
+      parsed._forwarded.push(source);
+    }
+  }
+
+  /**
+   * YYYY / YYYY-MM / YYYY-MM-DD 形式の日付を解釈(期間の開始日時を返す)
+   * @param {string} value - 日付文字列
+   * @returns {Date|null}
+   */
+  static parseDate(value) {
+    const match = value.match(/^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/);
+    if (!match) return null;
+
+    const year = Number(match[1]);
+    const month = match[2] ? Number(match[2]) - 1 : 0;
+    const day = match[3] ? Number(match[3]) : 1;
+    const date = new Date(year, month, day);
+
+    // 2024-02-31 のような存在しない日付を弾く
+    if (date.getFullYear() !== year || date.getMonth() !== month || date.getDate() !== day) {
+      return null;
+    }
+    return date;
+  }
+
+  /**
+   * 入力欄の下に重ねて表示する、演算子を色分けしたHTML
+   * @param {string} raw - 入力されたクエリ
+   * @returns {string} HTML(入力値はエスケープ済み)
+   */
+  static highlight(raw) {
+    const parsed = QueryParser.parse(raw);
+    const errorAt = token => parsed.errors.some(error => error.start < token.end && error.end > token.start);
+    let html = '';
+    let position = 0;
+
+    parsed.tokens.forEach(token => {
+      html += QueryParser._escape(raw.slice(position, token.start));
+      const classes = ['query-token', `query-token-${token.kind}`];
+      if (errorAt(token)) classes.push('query-token-error');
+      html += `<span class="${classes.join(' ')}">${QueryParser._escape(raw.slice(token.start, token.end))}</span>`;
+      position = token.end;
+    });
+    return html + QueryParser._escape(raw.slice(position));
+  }
+
+  /**
+   * @private
+   * @param {string} text - テキスト
+   * @returns {string} HTMLエスケープ済みテキスト
+   */
+  static _escape(text) {
+    return text.replace(/[&<>"']/g, char => ({
+      '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[char]);
+  }
+}
+
+// エクスポート
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { QueryParser, ParsedQuery, QuerySyntaxError };
+} else if (typeof window !== 'undefined') {
+  window.QueryParser = QueryParser;
+  window.ParsedQuery = ParsedQuery;
+  window.QuerySyntaxError = QuerySyntaxError;
+}
@@ -0,0 +1,260 @@
+/**
+ * クイックルック(結果のプレビュー)
+ * 結果のタイプごとにプレビューの内容を組み立てる。
+ * - web: サンドボックス化したiframe、またはページを取得して本文を抜き出したリーダー表示
+ *   (iframeで表示できないと分かっている場合はリーダー、どちらも無理なら結果の概要)
+ * - image: 拡大できるライトボックスとメタデータ
+ * - video: 埋め込みプレーヤー(対応サイトのみ)
+ * - news: 記事の冒頭
+ * ページの取得はCORSで拒否されることが多いため、失敗しても結果のデータだけでプレビューを出す。
+ * 埋め込みを拒否されたかはヘッダーからはほぼ分からないので、iframeが時間内に読み込まれなければ
+ * 概要表示に切り替える(QUICK_LOOK_FRAME_TIMEOUT)。
+ */
+
+const QUICK_LOOK_FETCH_TIMEOUT = 8000; // 8秒
+const QUICK_LOOK_FRAME_TIMEOUT = 5000; // 5秒
+const READER_MAX_PARAGRAPHS = 6;
+const READER_MIN_PARAGRAPH_LENGTH = 40;
+const NEWS_LEAD_PARAGRAPHS = 2;
+
+/**
+ * 動画の埋め込みURL(IDを取り出す正規表現とテンプレート)
+ * @readonly
+ */
+const VIDEO_EMBEDS = [
+  {
+    pattern: /^https?:\/\/(?:www\.|m\.)?youtube\.com\/(?:watch\?(?:.*&)?v=|shorts\/|embed\/)([\w-]{11})/,
+    embed: 'https://www.youtube-nocookie.com/embed/{id}'
+  },
+  { pattern: /^https?:\/\/youtu\.be\/([\w-]{11})/, embed: 'https://www.youtube-nocookie.com/embed/{id}' },
+  { pattern: /^https?:\/\/(?:www\.)?vimeo\.com\/(\d+)/, embed: 'https://player.vimeo.com/video/{id}' },
+  { pattern: /^https?:\/\/(?:www\.)?nicovideo\.jp\/watch\/((?:sm|so|nm)\d+)/, embed: 'https://embed.nicovideo.jp/watch/{id}' }
+];
+
+/**
+ * プレビューの組み立て
+ */
+class QuickLookPreview {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.timeout=QUICK_LOOK_FETCH_TIMEOUT] - ページ取得のタイムアウト(ミリ秒)
+   */
+  constructor(options = {}) {
+    this.timeout = options.timeout || QUICK_LOOK_FETCH_TIMEOUT;
+  }
+
+  /**
+   * 結果のデータだけで作るプレビュー(取得を待たずにすぐ表示する)
+   * @param {SearchResult} result - 検索結果
+   * @returns {Object} プレビュー
+   */
+  preview(result) {
+    const base = { kind: result.type, result, title: result.title, url: result.url };
+
+    switch (result.type) {
+      case 'image':
+        return {
+          ...base,
+          image: result.imageUrl || result.url,
+          meta: QuickLookPreview.imageMeta(result)
+        };
+      case 'video':
+        return { ...base, embedUrl: QuickLookPreview.embedUrl(result.url) };
+      case 'news':
+        return { ...base, lead: result.snippet ? [result.snippet] : [], image: result.thumbnail };
+      default:
+        return {
+          ...base,
+          kind: 'web',
+          frameUrl: result.url,
+          frameable: QuickLookPreview.isFrameable(result.url),
+          reader: null,
+          mode: 'summary'
+        };
+    }
+  }
+
+  /**
+   * ページを取得してプレビューを完成させる(web・newsのみ取得する)
+   * @param {SearchResult} result - 検索結果
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - 中断シグナル
+   * @param {RequestCache} [options.cache='default'] - fetchのキャッシュモード(プライベートモードでは 'no-store')
+   * @returns {Promise<Object>} プレビュー
+   */
+  async load(result, options = {}) {
+    const preview = this.preview(result);
+    if (preview.kind !== 'web' && preview.kind !== 'news') return preview;
+
+    const page = await this.fetchPage(result.url, options);
+    const reader = page ? QuickLookPreview.extract(page.doc, result.url) : null;
+
+    if (preview.kind === 'news') {
+      const lead = reader ? reader.paragraphs.slice(0, NEWS_LEAD_PARAGRAPHS) : [];
+      return {
+        ...preview,
+        lead: lead.length > 0 ? lead : preview.lead,
+        image: (reader && reader.image) || preview.image
+      };
+    }
+
+    const frameable = page && page.frameable === false ? false : preview.frameable;
+    let mode = 'summary';
+    if (reader && reader.paragraphs.length > 0) mode = 'reader';
+    else if (frameable !== false) mode = 'page';
+    return { ...preview, frameable, reader, mode };
+  }
+
+  /**
+   * ページのHTMLを取得して解析(CORSで拒否された場合などはnull)
+   * @param {string} url - ページのURL
+   * @param {Object} options - load() と同じ
+   * @returns {Promise<{doc: Document, frameable: boolean|null}|null>}
+   */
+  async fetchPage(url, options = {}) {
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    if (options.signal) options.signal.addEventListener('abort', abort, { once: true });
+    const timer = setTimeout(abort, this.timeout);
+
+    try {
+      const response = await fetch(url, {
+        signal: controller.signal,
+        credentials: 'omit',
+        referrerPolicy: 'no-referrer',
+        cache: options.cache || 'default'
+      });
+      const contentType = response.headers.get('content-type') || '';
+      if (!response.ok || !contentType.includes('html')) return null;
+
+      const doc = new DOMParser().parseFromString(await response.text(), 'text/html');
+      return { doc, frameable: QuickLookPreview.isFrameable(url, response.headers) };
+    } catch {
+      // CORS・ネットワークエラー・タイムアウトは結果のデータだけで表示する
+      return null;
+    } finally {
+      clearTimeout(timer);
+      if (options.signal) options.signal.removeEventListener('abort', abort);
+    }
+  }
+
+  /**
+   * ページから本文を抜き出す(リーダー表示用、テキストのみ)
+   * @param {Document} doc - 解析済みのページ
+   * @param {string} baseUrl - 相対URLの基準
+   * @returns {{title: string|null, description: string|null, siteName: string|null, image: string|null, paragraphs: string[]}}
+   */
+  static extract(doc, baseUrl) {
+    const meta = name => {
+      const element = doc.querySelector(`meta[property="${name}"], meta[name="${name}"]`);
+      const content = element && element.getAttribute('content');
+      return content ? content.trim() : null;
+    };
+
+    const root = doc.querySelector('article') || doc.querySelector('main') || doc.body;
+    const paragraphs = [];
+    if (root) {
+      root.querySelectorAll('script, style, noscript, nav, header, footer, aside, form').forEach(element => element.remove());
+      root.querySelectorAll('p').forEach(paragraph => {
+        const text = paragraph.textContent.replace(/\s+/g, ' ').trim();
+        if (text.length >= READER_MIN_PARAGRAPH_LENGTH && paragraphs.length < READER_MAX_PARAGRAPHS) {
+          paragraphs.push(text);
+        }
+      });
+    }
+
+    return {
+      title: meta('og:title') || (doc.title ? doc.title.trim() : null),
+      description: meta('og:description') || meta('description'),
+      siteName: meta('og:site_name'),
+      image: QuickLookPreview.absoluteUrl(meta('og:image'), baseUrl),
+      paragraphs
+    };
+  }
+
+  /**
+   * iframeで表示できるか
+   * HTTPSのページからHTTPのページは表示できない。X-Frame-Options と CSP の frame-ancestors は
+   * CORSで公開されたヘッダーではないため、クロスオリジンでは Access-Control-Expose-Headers で
+   * 公開されている場合しか読めない。読めなければnull(実際に表示できるかはiframeの読み込みで確かめる)
+   * @param {string} url - ページのURL
+   * @param {Headers} [headers] - レスポンスヘッダー
+   * @returns {boolean|null} 判定できなければnull
+   */
+  static isFrameable(url, headers) {
+    let target;
+    try {
+      target = new URL(url);
+    } catch {
+      return false;
+    }
+    if (typeof location !== 'undefined' && location.protocol === 'https:' && target.protocol !== 'https:') {
+      return false;
+    }
+    if (!headers) return null;
+
+    const frameOptions = (headers.get('x-frame-options') || '').toLowerCase();
+    if (frameOptions.includes('deny') || frameOptions.includes('sameorigin')) return false;
+
+    const policy = headers.get('content-security-policy') || '';
+    const directive = policy.split(';')
+      .map(part => part.trim().toLowerCase())
+      .find(part => part.startsWith('frame-ancestors'));
+    if (directive) {
+      const sources = directive.split(/\s+/).slice(1);
+      const origin = typeof location !== 'undefined' ? location.origin.toLowerCase() : '';
+      if (!sources.includes('*') && !sources.includes(origin)) return false;
+    }
+
+    return frameOptions || directive ? true : null;
+  }
+
+  /**
+   * 動画の埋め込みURL(未対応のサイトはnull)
+   * @param {string} url - 動画ページのURL
+   * @returns {string|null}
+   */
+  static embedUrl(url) {
+    for (const { pattern, embed } of VIDEO_EMBEDS) {
+      const match = String(url || '').match(pattern);
+      if (match) return embed.replace('{id}', match[1]);
+    }
+    return null;
+  }
+
+  /**
+   * 画像のメタデータ(表示用)
+   * @param {ImageResult} result
+   * @returns {Array<{label: string, value: string}>}
+   */
+  static imageMeta(result) {
+    const meta = [];
+    if (result.width && result.height) meta.push({ label: 'サイズ', value: `${result.width} × ${result.height}` });
+    if (result.source) meta.push({ label: '掲載元', value: result.source });
+    if (result.domain && result.domain !== result.source) meta.push({ label: 'ドメイン', value: result.domain });
+    if (result.publishedAt) meta.push({ label: '公開日', value: result.publishedAt.slice(0, 10) });
+    return meta;
+  }
+
+  /**
+   * @param {string|null} url - 相対または絶対URL
+   * @param {string} baseUrl - 基準URL
+   * @returns {string|null} HTTP(S)の絶対URL
+   */
+  static absoluteUrl(url, baseUrl) {
+    if (!url) return null;
+    try {
+      const absolute = new URL(url, baseUrl);
+      return /^https?:$/.test(absolute.protocol) ? absolute.href : null;
+    } catch {
+      return null;
+    }
+  }
+}
+
+// エクスポート
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { QuickLookPreview };
+} else if (typeof window !== 'undefined') {
+  window.QuickLookPreview = QuickLookPreview;
+}
@@ -0,0 +1,138 @@
+/**
+ * 検索状態のURLルーター
+ * 検索条件(q, type, page, safesearch, lang, view, density, pagination)をクエリ文字列と相互に変換し、
+ * 戻る/進む(popstate)で状態を復元する。共有されたリンクは同じ条件で開ける。
+ */
+
+/**
+ * URLパラメータの定義
+ * 不正な値は読み込み時に無視する
+ * @readonly
+ */
+const ROUTE_PARAMS = {
+  q: {},
+  type: { values: ['all', 'web', 'image', 'video', 'news'] },
+  page: { number: true, min: 1 },
+  safesearch: { number: true, values: [0, 1, 2] },
+  lang: { values: ['ja', 'en'] },
+  view: { values: ['list', 'grid'] },
+  density: { values: ['compact', 'normal', 'comfortable'] },
+  pagination: { values: ['numbered', 'infinite'] }
+};
+
+/**
+ * 検索状態とURLを同期する
+ */
+class SearchRouter {
+  constructor() {
+    this.listeners = new Set();
+    this.current = SearchRouter.parse(window.location.search);
+    this._onPopState = () => {
+      this.current = SearchRouter.parse(window.location.search);
+      this.listeners.forEach(listener => listener(this.current));
+    };
+    window.addEventListener('popstate', this._onPopState);
+  }
+
+  /**
+   * クエリ文字列を検索状態に変換(URLにない項目は含めない)
+   * @param {string} search - location.search
+   * @returns {Object} 検索状態
+   */
+  static parse(search) {
+    const params = new URLSearchParams(search);
+    const state = {};
+
+    Object.entries(ROUTE_PARAMS).forEach(([name, rule]) => {
+      const raw = params.get(name);
+      if (raw === null || raw.trim() === '') return;
+
+      const value = rule.number ? Number(raw) : raw;
+      if (rule.number && !Number.isInteger(value)) return;
+      if (rule.min !== undefined && value < rule.min) return;
+      if (rule.values && !rule.values.includes(value)) return;
+      state[name] = value;
+    });
+
+    return state;
+  }
+
+  /**
+   * 検索状態をクエリ文字列に変換
+   * クエリがなければパラメータを付けず、1ページ目はpageを省略する
+   * @param {Object} state - 検索状態
+   * @returns {string} '?' から始まるクエリ文字列(空なら '')
+   */
+  static serialize(state) {
+    if (!state.q) return '';
+
+    const params = new URLSearchParams();
+    Object.keys(ROUTE_PARAMS).forEach(name => {
+      const value = state[name];
+      if (value === undefined || value === null || value === '') return;
+      if (name === 'page' && value === 1) return;
+      params.set(name, String(value));
+    });
+    return `?${params}`;
+  }
+
+  /**
+   * 検索状態のURL
+   * @param {Object} state - 検索状態
+   * @returns {string} 絶対URL
+   */
+  toUrl(state) {
+    return `${window.location.origin}${window.location.pathname}${SearchRouter.serialize(state)}`;
+  }
+
+  /**
+   * 履歴に新しいエントリを追加(現在と同じURLなら何もしない)
+   * @param {Object} state - 検索状態
+   */
+  push(state) {
+    this._navigate(state, 'pushState');
+  }
+
+  /**
+   * 現在の履歴エントリを置き換える
+   * @param {Object} state - 検索状態
+   */
+  replace(state) {
+    this._navigate(state, 'replaceState');
+  }
+
+  /**
+   * @private
+   * @param {Object} state - 検索状態
+   * @param {'pushState'|'replaceState'} method - Historyのメソッド
+   */
+  _navigate(state, method) {
+    const search = SearchRouter.serialize(state);
+    if (search === window.location.search) return;
+
+    window.history[method](null, '', `${window.location.pathname}${search}${window.location.hash}`);
+    this.current = SearchRouter.parse(search);
+  }
+
+  /**
+   * 戻る/進むによる状態変化を購読
+   * @param {function(Object): void} listener - 新しい検索状態を受け取る
+   * @returns {function(): void} 購読解除関数
+   */
+  onChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  destroy() {
+    window.removeEventListener('popstate', this._onPopState);
+    this.listeners.clear();
+  }
+}
+
+// エクスポート
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { SearchRouter, ROUTE_PARAMS };
+} else if (typeof window !== 'undefined') {
+  window.SearchRouter = SearchRouter;
+}
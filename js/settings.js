@@ -0,0 +1,81 @@
+/**
+ * アプリの設定
+ * 設定画面で変える値(ユーザー定義bang・履歴の保存期間など)をひとつのlocalStorageキーにまとめて保存する。
+ * 以前は値ごとに別のキーに保存していたため、読み込むときにそちらから移す(migrate)。
+ */
+
+const SETTINGS_STORAGE_KEY = 'wholphin_settings';
+
+/**
+ * 設定の読み書き
+ */
+class AppSettings {
+  /**
+   * @param {string} [storageKey] - 設定を保存するlocalStorageキー
+   */
+  constructor(storageKey = SETTINGS_STORAGE_KEY) {
+    this.storageKey = storageKey;
+  }
+
+  /**
+   * すべての設定を取得
+   * @returns {Object} 設定名と値(壊れていれば空)
+   */
+  getAll() {
+    try {
+      const data = JSON.parse(localStorage.getItem(this.storageKey));
+      return data && typeof data === 'object' && !Array.isArray(data) ? data : {};
+    } catch {
+      return {};
+    }
+  }
+
+  /**
+   * 設定を取得
+   * @param {string} name - 設定名
+   * @param {*} [fallback] - 未設定の場合の値
+   * @returns {*}
+   */
+  get(name, fallback) {
+    const value = this.getAll()[name];
+    return value !== undefined ? value : fallback;
+  }
+
+  /**
+   * 設定を保存
+   * @param {string} name - 設定名
+   * @param {*} value - JSONにできる値
+   */
+  set(name, value) {
+    const settings = this.getAll();
+    settings[name] = value;
+    localStorage.setItem(this.storageKey, JSON.stringify(settings));
+  }
+
+  /**
+   * 個別のキーに保存されていた値を移して、古いキーを削除する(すでに設定があればそちらを残す)
+   * @param {string} name - 設定名
+   * @param {string} legacyKey - 以前のlocalStorageキー
+   * @param {function(string): *} parse - 保存されていた文字列を値に変換(使えない値なら undefined)
+   */
+  migrate(name, legacyKey, parse) {
+    const raw = localStorage.getItem(legacyKey);
+    if (raw === null) return;
+
+    let value;
+    try {
+      value = parse(raw);
+    } catch {
+      value = undefined;
+    }
+    if (value !== undefined && this.get(name) === undefined) this.set(name, value);
+    localStorage.removeItem(legacyKey);
+  }
+}
+
+// エクスポート
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { AppSettings, SETTINGS_STORAGE_KEY };
+} else if (typeof window !== 'undefined') {
+  window.AppSettings = AppSettings;
+}
@@ -0,0 +1,208 @@
+/**
+ * 検索候補エンジン
+ * 検索履歴からの前方一致・あいまい一致(frecency順)とAPIの候補を混ぜて返す。
+ * APIに届かないときは履歴だけで候補を出す。
+ */
+
+/**
+ * 最終利用からの経過日数ごとの重み(frecency)
+ * @readonly
+ */
+const FRECENCY_BUCKETS = [
+  { days: 4, weight: 100 },
+  { days: 14, weight: 70 },
+  { days: 31, weight: 50 },
+  { days: 90, weight: 30 },
+  { days: Infinity, weight: 10 }
+];
+
+/**
+ * 一致の種類ごとの係数
+ * @readonly
+ */
+const SUGGESTION_MATCH_WEIGHTS = {
+  prefix: 1,
+  word: 0.7,
+  fuzzy: 0.3
+};
+
+/**
+ * 候補の出どころ
+ * @readonly
+ * @enum {string}
+ */
+const SuggestionSource = {
+  HISTORY: 'history',
+  API: 'api',
+  BANG: 'bang'
+};
+
+/**
+ * 表示用の検索候補
+ */
+class SuggestionItem {
+  /**
+   * @param {string} text - 候補文字列
+   * @param {string} source - 出どころ(SuggestionSource)
+   * @param {number} [score=0] - 並び順に使うスコア
+   */
+  constructor(text, source, score = 0) {
+    this.text = text;
+    this.source = source;
+    this.score = score;
+  }
+
+  /**
+   * 履歴から削除できるか
+   * @returns {boolean}
+   */
+  get isHistory() {
+    return this.source === SuggestionSource.HISTORY;
+  }
+
+  toString() {
+    return this.text;
+  }
+}
+
+/**
+ * 履歴とAPIの候補を混ぜる
+ */
+class SuggestionEngine {
+  /**
+   * @param {WholphinAPI} api - APIクライアント
+   * @param {SearchHistory} history - 検索履歴
+   * @param {Object} [options]
+   * @param {number} [options.limit=8] - 最大件数
+   * @param {number} [options.maxHistory=4] - 履歴から出す最大件数
+   */
+  constructor(api, history, options = {}) {
+    this.api = api;
+    this.history = history;
+    this.limit = options.limit || 8;
+    this.maxHistory = options.maxHistory || 4;
+  }
+
+  /**
+   * 履歴だけから候補を作る(同期・オフラインでも使える)
+   * 同じ文字列の履歴は検索タイプが違ってもまとめる
+   * @param {string} query - 入力中のクエリ
+   * @param {number} [limit] - 最大件数
+   * @returns {SuggestionItem[]}
+   */
+  fromHistory(query, limit = this.maxHistory) {
+    const needle = SuggestionEngine.normalize(query);
+    if (!needle) return [];
+
+    const now = Date.now();
+    const scores = new Map();
+    this.history.getAll().forEach(entry => {
+      const match = SuggestionEngine.match(needle, SuggestionEngine.normalize(entry.query));
+      if (!match) return;
+      const score = SuggestionEngine.frecency(entry, now) * SUGGESTION_MATCH_WEIGHTS[match];
+      const current = scores.get(entry.query);
+      scores.set(entry.query, (current || 0) + score);
+    });
+
+    return Array.from(scores, ([text, score]) => new SuggestionItem(text, SuggestionSource.HISTORY, score))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  /**
+   * 履歴とAPIの候補を混ぜる
+   * 履歴を先に並べ、APIの候補は履歴と重複しないものだけを続ける
+   * @param {string} query - 入力中のクエリ
+   * @param {Object} [options]
+   * @param {string} [options.lang] - 言語
+   * @param {AbortSignal} [options.signal] - 中断シグナル
+   * @returns {Promise<SuggestionItem[]>}
+   * @throws {WholphinAPIAbortError} 中断された場合
+   */
+  async suggest(query, options = {}) {
+    const historyItems = this.fromHistory(query);
+    let apiTexts = [];
+
+    if (typeof navigator === 'undefined' || navigator.onLine !== false) {
+      try {
+        const data = await this.api.getSuggestions(query, { lang: options.lang, signal: options.signal });
+        apiTexts = data.results.map(suggestion => String(suggestion));
+      } catch (error) {
+        if (WholphinAPI.isAbortError(error)) throw error;
+        // 取得できなければ履歴だけで候補を出す
+      }
+    }
+
+    const seen = new Set(historyItems.map(item => SuggestionEngine.normalize(item.text)));
+    const apiItems = [];
+    apiTexts.forEach(text => {
+      const key = SuggestionEngine.normalize(text);
+      if (!key || seen.has(key)) return;
+      seen.add(key);
+      apiItems.push(new SuggestionItem(text, SuggestionSource.API));
+    });
+
+    return [...historyItems, ...apiItems].slice(0, this.limit);
+  }
+
+  /**
+   * 履歴の候補を削除(すべての検索タイプから消す)
+   * @param {SuggestionItem} item - 削除する候補
+   * @returns {boolean} 削除したか
+   */
+  remove(item) {
+    if (!item || !item.isHistory) return false;
+    this.history.remove(item.text);
+    return true;
+  }
+
+  /**
+   * 一致の種類を判定
+   * @param {string} needle - 正規化済みの入力
+   * @param {string} text - 正規化済みの履歴
+   * @returns {'prefix'|'word'|'fuzzy'|null}
+   */
+  static match(needle, text) {
+    if (text.startsWith(needle)) return 'prefix';
+    if (text.split(/\s+/).some(word => word.startsWith(needle))) return 'word';
+
+    // 入力の文字が順番どおりに含まれていればあいまい一致とする
+    let position = 0;
+    for (const char of needle.replace(/\s+/g, '')) {
+      position = text.indexOf(char, position);
+      if (position === -1) return null;
+      position++;
+    }
+    return needle.length >= 2 ? 'fuzzy' : null;
+  }
+
+  /**
+   * 利用回数と最終利用日時からスコアを計算
+   * @param {Object} entry - 履歴エントリ
+   * @param {number} [now=Date.now()] - 現在時刻
+   * @returns {number}
+   */
+  static frecency(entry, now = Date.now()) {
+    const age = (now - entry.lastSeen) / (24 * 60 * 60 * 1000);
+    const bucket = FRECENCY_BUCKETS.find(({ days }) => age < days);
+    return (entry.count || 1) * bucket.weight;
+  }
+
+  /**
+   * 比較用に正規化(全角英数を半角に、大文字を小文字に)
+   * @param {string} text
+   * @returns {string}
+   */
+  static normalize(text) {
+    return String(text || '').normalize('NFKC').toLowerCase().trim().replace(/\s+/g, ' ');
+  }
+}
+
+// エクスポート
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { SuggestionEngine, SuggestionItem, SuggestionSource };
+} else if (typeof window !== 'undefined') {
+  window.SuggestionEngine = SuggestionEngine;
+  window.SuggestionItem = SuggestionItem;
+  window.SuggestionSource = SuggestionSource;
+}
@@ -294,11 +294,15 @@ class EnhancedTabBar {
     
     this.currentTab = newTab;
     
-    // Update URL without page reload
+    // Update URL without page reload (through the app's router so other search state is kept)
     const tabType = newTab.dataset.tab || 'all';
-    const url = new URL(window.location);
-    url.searchParams.set('type', tabType);
-    window.history.pushState({}, '', url);
+    if (window.searchRouter) {
+      window.searchRouter.push({ ...window.searchRouter.current, type: tabType });
+    } else {
+      const url = new URL(window.location);
+      url.searchParams.set('type', tabType);
+      window.history.pushState({}, '', url);
+    }
     
     // Dispatch event for other components
     window.dispatchEvent(new CustomEvent('tabchange', {
@@ -340,8 +344,13 @@ class EnhancedTabBar {
   }
 
   copyTabURL(tabType) {
-    const url = new URL(window.location);
-    url.searchParams.set('type', tabType);
+    let url;
+    if (window.searchRouter) {
+      url = window.searchRouter.toUrl({ ...window.searchRouter.current, type: tabType });
+    } else {
+      url = new URL(window.location);
+      url.searchParams.set('type', tabType);
+    }
     
     navigator.clipboard.writeText(url.toString()).then(() => {
       this.showToast('URLをコピーしました');
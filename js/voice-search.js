@@ -0,0 +1,288 @@
+/**
+ * 音声検索
+ * 認識エンジンを差し替えられるようにしておき、ブラウザに Web Speech API があればそれを、
+ * テストやデモでは決まった文字列を返すモックを使う。
+ * 途中経過は onInterim で渡し、最終結果が出たら listen() の Promise が解決される。
+ * stop() は聞き取りを終えて最終結果を受け取り、cancel() は結果を捨てて中止する。
+ */
+
+/**
+ * アプリの言語設定と認識言語(BCP 47)の対応
+ * @readonly
+ */
+const VOICE_LANGUAGES = {
+  ja: 'ja-JP',
+  en: 'en-US'
+};
+
+/**
+ * 認識エラーの表示メッセージ(コードは Web Speech API の SpeechRecognitionErrorEvent.error に合わせる)
+ * @readonly
+ */
+const VOICE_ERROR_MESSAGES = {
+  'not-supported': 'このブラウザは音声検索に対応していません',
+  'not-allowed': 'マイクの使用が許可されていません',
+  'service-not-allowed': 'マイクの使用が許可されていません',
+  'audio-capture': 'マイクが見つかりません',
+  'network': 'ネットワークに接続できないため音声を認識できません',
+  'no-speech': '音声が聞き取れませんでした',
+  'language-not-supported': 'この言語の音声認識には対応していません'
+};
+
+/**
+ * 認識エンジンのインターフェース
+ * @typedef {Object} SpeechRecognizer
+ * @property {function(RecognizerHandlers): void} start - 聞き取りを開始
+ * @property {function(): void} stop - 聞き取りを終える(それまでの音声の最終結果を返す)
+ * @property {function(): void} abort - 聞き取りを中止(結果は返さない)
+ */
+
+/**
+ * 認識エンジンに渡すコールバック
+ * @typedef {Object} RecognizerHandlers
+ * @property {string} lang - 認識言語(BCP 47)
+ * @property {function(string): void} onInterim - 途中経過
+ * @property {function(string): void} onFinal - 最終結果
+ * @property {function(VoiceSearchError): void} onError - エラー
+ * @property {function(): void} onEnd - 聞き取りの終了(結果・エラーのあとにも呼ばれる)
+ */
+
+/**
+ * 音声検索のエラークラス
+ */
+class VoiceSearchError extends Error {
+  /**
+   * @param {string} code - エラーコード(VOICE_ERROR_MESSAGES のキー)
+   * @param {string} [message] - エラーメッセージ(省略時はコードから決める)
+   */
+  constructor(code, message = VOICE_ERROR_MESSAGES[code] || '音声を認識できませんでした') {
+    super(message);
+    this.name = 'VoiceSearchError';
+    this.code = code;
+  }
+}
+
+/**
+ * Web Speech API(SpeechRecognition)による認識エンジン
+ */
+class WebSpeechRecognizer {
+  /**
+   * @returns {boolean} ブラウザが対応しているか
+   */
+  static isSupported() {
+    return typeof window !== 'undefined' && Boolean(window.SpeechRecognition || window.webkitSpeechRecognition);
+  }
+
+  /**
+   * @param {RecognizerHandlers} handlers
+   */
+  start(handlers) {
+    const Recognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+    const recognition = new Recognition();
+    recognition.lang = handlers.lang;
+    recognition.interimResults = true;
+    recognition.continuous = false;
+    recognition.maxAlternatives = 1;
+
+    recognition.onresult = event => {
+      const results = Array.from(event.results);
+      const transcript = results.map(result => result[0].transcript).join('').trim();
+      if (results.length > 0 && results[results.length - 1].isFinal) {
+        handlers.onFinal(transcript);
+      } else {
+        handlers.onInterim(transcript);
+      }
+    };
+    recognition.onerror = event => {
+      // abort() による中止はエラーとして扱わない
+      if (event.error !== 'aborted') handlers.onError(new VoiceSearchError(event.error));
+    };
+    recognition.onend = () => {
+      this.recognition = null;
+      handlers.onEnd();
+    };
+
+    this.recognition = recognition;
+    recognition.start();
+  }
+
+  stop() {
+    if (this.recognition) this.recognition.stop();
+  }
+
+  abort() {
+    if (this.recognition) this.recognition.abort();
+  }
+}
+
+/**
+ * 決まった途中経過と結果を順に返す認識エンジン(テスト・デモ用)
+ */
+class MockSpeechRecognizer {
+  /**
+   * @param {Object} [options]
+   * @param {string[]} [options.interim=[]] - 途中経過として順に返す文字列
+   * @param {string} [options.transcript=''] - 最終結果(空なら no-speech エラー)
+   * @param {string} [options.error] - 結果の代わりに発生させるエラーコード
+   * @param {number} [options.delay=100] - 各段階の間隔(ミリ秒)
+   */
+  constructor(options = {}) {
+    this.interim = options.interim || [];
+    this.transcript = options.transcript || '';
+    this.error = options.error || null;
+    this.delay = options.delay !== undefined ? options.delay : 100;
+    this.lang = null;
+    this.timers = [];
+    this.pending = [];
+  }
+
+  /**
+   * @param {RecognizerHandlers} handlers
+   */
+  start(handlers) {
+    this.abort();
+    this.lang = handlers.lang;
+
+    const finish = () => {
+      if (this.error) handlers.onError(new VoiceSearchError(this.error));
+      else if (this.transcript) handlers.onFinal(this.transcript);
+      else handlers.onError(new VoiceSearchError('no-speech'));
+    };
+    const end = () => handlers.onEnd();
+    const steps = [...this.interim.map(text => () => handlers.onInterim(text)), finish, end];
+    this.timers = steps.map((step, index) => setTimeout(() => {
+      this.pending = this.pending.filter(pending => pending !== step);
+      step();
+    }, this.delay * (index + 1)));
+    this.pending = [finish, end];
+  }
+
+  /**
+   * 残りの途中経過を飛ばして、すぐに最終結果を返す
+   */
+  stop() {
+    const pending = this.pending;
+    this.abort();
+    pending.forEach(step => step());
+  }
+
+  abort() {
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers = [];
+    this.pending = [];
+  }
+}
+
+/**
+ * 音声入力の制御(同時に聞き取るのはひとつだけ)
+ */
+class VoiceSearch {
+  /**
+   * @param {Object} [options]
+   * @param {SpeechRecognizer|null} [options.recognizer] - 認識エンジン(省略時は対応していれば Web Speech API)
+   */
+  constructor(options = {}) {
+    this.recognizer = options.recognizer !== undefined
+      ? options.recognizer
+      : (WebSpeechRecognizer.isSupported() ? new WebSpeechRecognizer() : null);
+    this.session = null;
+  }
+
+  /**
+   * @returns {boolean} 音声検索を使えるか
+   */
+  get isSupported() {
+    return Boolean(this.recognizer);
+  }
+
+  /**
+   * @returns {boolean} 聞き取り中か
+   */
+  get isListening() {
+    return Boolean(this.session);
+  }
+
+  /**
+   * 聞き取りを開始(聞き取り中なら前の聞き取りは中止する)
+   * @param {Object} [options]
+   * @param {string} [options.lang='ja'] - アプリの言語設定(ja/en)
+   * @param {function(string): void} [options.onInterim] - 途中経過を受け取る
+   * @returns {Promise<string|null>} 最終結果(cancel() で中止された場合はnull)
+   * @throws {VoiceSearchError} 非対応・マイクの拒否・聞き取れなかった場合など
+   */
+  listen(options = {}) {
+    this.cancel();
+    if (!this.recognizer) return Promise.reject(new VoiceSearchError('not-supported'));
+
+    return new Promise((resolve, reject) => {
+      const session = { interim: '' };
+      const settle = (callback, value) => {
+        if (this.session !== session) return;
+        this.session = null;
+        callback(value);
+      };
+      session.stop = () => this.recognizer.stop();
+      session.cancel = () => {
+        this.recognizer.abort();
+        settle(resolve, null);
+      };
+      this.session = session;
+
+      try {
+        this.recognizer.start({
+          lang: VoiceSearch.languageTag(options.lang),
+          onInterim: text => {
+            if (this.session !== session) return;
+            session.interim = text.trim();
+            if (options.onInterim) options.onInterim(text);
+          },
+          onFinal: text => {
+            const transcript = text.trim();
+            if (transcript) settle(resolve, transcript);
+            else settle(reject, new VoiceSearchError('no-speech'));
+          },
+          onError: error => settle(reject, error),
+          // 最終結果なしに終わった場合は最後の途中経過を使う(なければ無音で打ち切られたなど)
+          onEnd: () => {
+            if (session.interim) settle(resolve, session.interim);
+            else settle(reject, new VoiceSearchError('no-speech'));
+          }
+        });
+      } catch (error) {
+        settle(reject, new VoiceSearchError('start-failed', error.message));
+      }
+    });
+  }
+
+  /**
+   * 聞き取りを終える(最終結果は listen() の Promise に返る。聞き取り中でなければ何もしない)
+   */
+  stop() {
+    if (this.session) this.session.stop();
+  }
+
+  /**
+   * 聞き取りを中止(結果は捨てて listen() は null を返す。聞き取り中でなければ何もしない)
+   */
+  cancel() {
+    if (this.session) this.session.cancel();
+  }
+
+  /**
+   * @param {string} language - アプリの言語設定(ja/en)
+   * @returns {string} 認識言語(BCP 47、未知の値は日本語)
+   */
+  static languageTag(language) {
+    return VOICE_LANGUAGES[language] || VOICE_LANGUAGES.ja;
+  }
+}
+
+// エクスポート
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { VoiceSearch, VoiceSearchError, WebSpeechRecognizer, MockSpeechRecognizer, VOICE_LANGUAGES };
+} else if (typeof window !== 'undefined') {
+  window.VoiceSearch = VoiceSearch;
+  window.VoiceSearchError = VoiceSearchError;
+  window.WebSpeechRecognizer = WebSpeechRecognizer;
+  window.MockSpeechRecognizer = MockSpeechRecognizer;
+}
@@ -0,0 +1,138 @@
+/**
+ * Service Worker - Offline support
+ * Precaches the app shell and keeps recently viewed /search responses for offline use
+ */
+
+const CACHE_VERSION = 'v17';
+const SHELL_CACHE = `wholphin-shell-${CACHE_VERSION}`;
+// Versioned separately from the shell so saved results survive app updates;
+// bump only when the format of the stored /search responses changes
+const SEARCH_CACHE_VERSION = 'v1';
+const SEARCH_CACHE = `wholphin-search-${SEARCH_CACHE_VERSION}`;
+const MAX_SEARCH_ENTRIES = 50;
+
+// Must match the X-Wholphin-Offline handling in js/api.js
+const OFFLINE_HEADER = 'X-Wholphin-Offline';
+
+const SHELL_URLS = [
+  './',
+  'index.html',
+  'manifest.webmanifest',
+  'icons/icon.svg',
+  'css/normalize.css',
+  'css/design-system.css',
+  'css/layout.css',
+  'css/components.css',
+  'css/desktop.css',
+  'css/advanced-features.css',
+  'css/start-page.css',
+  'css/settings-page.css',
+  'css/mobile-search.css',
+  'js/vendor/vue.global.prod.js',
+  'js/vendor/lenis.min.js',
+  'js/vendor/gsap.min.js',
+  'js/vendor/ScrollTrigger.min.js',
+  'js/api.js',
+  'js/settings.js',
+  'js/query-parser.js',
+  'js/bangs.js',
+  'js/history-transfer.js',
+  'js/suggestions.js',
+  'js/router.js',
+  'js/command-palette.js',
+  'js/quick-look.js',
+  'js/voice-search.js',
+  'js/keymap.js',
+  'js/keyboard.js',
+  'js/advanced-features.js',
+  'js/animations.js'
+];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(SHELL_URLS))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys
+          .filter(key => key.startsWith('wholphin-') && key !== SHELL_CACHE && key !== SEARCH_CACHE)
+          .map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const request = event.request;
+  if (request.method !== 'GET') return;
+
+  // Private mode requests must neither be stored nor answered from the cache
+  if (request.cache === 'no-store') return;
+
+  const url = new URL(request.url);
+
+  if (isSearchRequest(url)) {
+    event.respondWith(networkFirstSearch(request));
+    return;
+  }
+
+  if (url.origin !== self.location.origin) return;
+
+  if (request.mode === 'navigate') {
+    // Always try for the latest page, fall back to the cached shell
+    event.respondWith(
+      fetch(request).catch(() => caches.match('index.html'))
+    );
+    return;
+  }
+
+  event.respondWith(
+    caches.match(request).then(cached => cached || fetch(request))
+  );
+});
+
+function isSearchRequest(url) {
+  // Suggestions change with every keystroke and are not worth keeping offline
+  return url.pathname.endsWith('/search') &&
+         url.searchParams.has('q') &&
+         url.searchParams.get('type') !== 'suggest';
+}
+
+async function networkFirstSearch(request) {
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const cache = await caches.open(SEARCH_CACHE);
+      await cache.delete(request);
+      await cache.put(request, response.clone());
+      await trimCache(cache, MAX_SEARCH_ENTRIES);
+    }
+    return response;
+  } catch (error) {
+    const cached = await caches.match(request, { cacheName: SEARCH_CACHE });
+    if (!cached) throw error;
+
+    // Mark the response so the app can tell the user these are saved results
+    const headers = new Headers(cached.headers);
+    headers.set(OFFLINE_HEADER, '1');
+    return new Response(await cached.blob(), {
+      status: cached.status,
+      statusText: cached.statusText,
+      headers
+    });
+  }
+}
+
+async function trimCache(cache, maxEntries) {
+  const keys = await cache.keys();
+  // Keys are returned in insertion order, so the oldest come first
+  for (const key of keys.slice(0, Math.max(0, keys.length - maxEntries))) {
+    await cache.delete(key);
+  }
+}